@@ -0,0 +1,164 @@
+/**
+ * GraphQL Client Errors
+ * Typed errors raised while talking to the GraphQL API,
+ * so callers and the retry policy can tell failures apart
+ */
+
+/**
+ * Base class for every GraphQL client error
+ */
+class GraphQLClientError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'GraphQLClientError';
+    }
+
+    /**
+     * Whether retrying the same request may succeed
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Missing, expired or rejected credentials (HTTP 401, Hasura JWT errors)
+ */
+class AuthError extends GraphQLClientError {
+    /**
+     * @param {string} message - Human readable message
+     * @param {number|null} status - HTTP status, when the server rejected the request
+     * @param {string|null} code - Hasura extensions.code, when the JWT was rejected
+     */
+    constructor(message = 'Session expired. Please login again.', status = null, code = null) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, proxy down)
+ */
+class NetworkError extends GraphQLClientError {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Error} cause - Underlying fetch error
+     */
+    constructor(message = 'Network error. Please check your connection and try again.', cause = null) {
+        super(message);
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The request took longer than its timeout
+ */
+class TimeoutError extends NetworkError {
+    /**
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    constructor(timeout) {
+        super(`Request timed out after ${Number((timeout / 1000).toFixed(1))} seconds.`);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The caller cancelled the request through its AbortSignal
+ * Not a failure: callers usually just ignore the result
+ */
+class AbortedError extends GraphQLClientError {
+    constructor(message = 'Request was cancelled.') {
+        super(message);
+        this.name = 'AbortedError';
+    }
+}
+
+/**
+ * Non-2xx HTTP response
+ */
+class HttpError extends GraphQLClientError {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Human readable message
+     * @param {number|null} retryAfter - Milliseconds from a Retry-After header
+     */
+    constructor(status, message = `HTTP error! status: ${status}`, retryAfter = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    get retryable() {
+        return HttpError.TRANSIENT_STATUSES.includes(this.status);
+    }
+}
+
+/**
+ * Statuses worth retrying (timeouts, rate limits, gateway and server hiccups)
+ */
+HttpError.TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * GraphQL `errors` returned with a 200 response
+ */
+class GraphQLError extends GraphQLClientError {
+    /**
+     * @param {Array<object>} errors - GraphQL errors from the response
+     * @param {object|null} data - Partial data returned alongside the errors
+     */
+    constructor(errors, data = null) {
+        super(errors[0].message || 'GraphQL query failed');
+        this.name = 'GraphQLError';
+        this.errors = errors;
+        this.data = data;
+        // Hasura reports its error class in extensions.code, e.g. 'validation-failed'
+        this.code = (errors[0].extensions && errors[0].extensions.code) || null;
+    }
+
+    get retryable() {
+        return GraphQLError.TRANSIENT_CODES.includes(this.code);
+    }
+}
+
+/**
+ * Hasura codes for server-side failures that may clear up on their own
+ */
+GraphQLError.TRANSIENT_CODES = ['unexpected'];
+
+/**
+ * Hasura codes that mean the JWT itself was rejected
+ */
+GraphQLError.AUTH_CODES = ['invalid-jwt', 'jwt-invalid-claims', 'invalid-headers'];
+
+/**
+ * Helper: parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,257 @@
+/**
+ * Events
+ * Discovers the events (piscines, modules, checkpoints, ...) a user took part
+ * in, from event_user when the platform exposes it and otherwise by grouping
+ * the paths the user earned XP on. Every event carries the path pattern used
+ * to filter the profile queries.
+ */
+
+const Events = {
+    /**
+     * Pseudo-event for the unfiltered view
+     */
+    ALL: Object.freeze({
+        id: 'all',
+        name: 'All Events',
+        icon: '🌐',
+        subtitle: 'Combined',
+        pathPattern: null
+    }),
+
+    /**
+     * Icons for path segments (checked first) and object types
+     */
+    ICONS: {
+        segments: {
+            div: '📚',
+            go: '🐹',
+            js: '📜',
+            rust: '🦀',
+            java: '☕',
+            python: '🐍',
+            ai: '🤖',
+            ui: '🎨',
+            blockchain: '⛓️',
+            cybersecurity: '🔐',
+            checkpoint: '🏁'
+        },
+        types: {
+            module: '📚',
+            piscine: '🏊',
+            exam: '🏁',
+            raid: '⚔️'
+        },
+        fallback: '📁'
+    },
+
+    /**
+     * Find the user's events
+     * @param {number} userId - Current user ID
+     * @param {object} eventsResult - GetUserEvents result, when already fetched
+     * @param {object} options - GraphQL options (signal, ...)
+     * @returns {Promise<Array<object>>} Events.ALL followed by the user's events, oldest first
+     */
+    async discover(userId, eventsResult = null, options = {}) {
+        const { query, variables } = Queries.getUserEvents(userId);
+        const result = eventsResult || await GraphQL.query(query, variables, options);
+
+        let events = result.success ? this.fromEventUsers(result.data.event_user) : [];
+
+        if (events.length === 0 && !result.aborted) {
+            // Older schemas, or roles that cannot read event_user
+            const paths = Queries.getXPPaths(userId);
+            const pathsResult = await GraphQL.query(paths.query, paths.variables, options);
+
+            if (pathsResult.success) {
+                events = this.fromTransactions(pathsResult.data.transaction);
+            }
+        }
+
+        return [this.ALL, ...events];
+    },
+
+    /**
+     * Build events from event_user rows
+     * @param {Array<object>} rows - [{event: {id, path, createdAt, endAt, object}}]
+     * @returns {Array<object>}
+     */
+    fromEventUsers(rows) {
+        const prefix = CONFIG.EVENT_PATH_PREFIX;
+        const events = new Map();
+
+        rows.forEach(({ event }) => {
+            // Only this campus' events, once each
+            if (!event || !event.path || !event.path.startsWith(prefix) || events.has(event.path)) {
+                return;
+            }
+
+            events.set(event.path, this.describe({
+                path: event.path,
+                name: event.object && event.object.name,
+                type: event.object && event.object.type,
+                startAt: event.createdAt,
+                endAt: event.endAt
+            }));
+        });
+
+        return sortByStart(withValidPatterns([...events.values()]));
+    },
+
+    /**
+     * Build events from transaction paths
+     * A project at /athens/div-01/piscine-js/quest-01 belongs to the events
+     * /athens/div-01/piscine-js and /athens/div-01; dates span their projects.
+     * @param {Array<object>} rows - [{path, createdAt}]
+     * @returns {Array<object>}
+     */
+    fromTransactions(rows) {
+        const prefix = CONFIG.EVENT_PATH_PREFIX;
+        const groups = new Map();
+
+        rows.forEach(({ path, createdAt }) => {
+            if (!path || !path.startsWith(prefix)) {
+                return;
+            }
+
+            // Directories above the project, at most two levels below the campus
+            const segments = path.slice(prefix.length).split('/').filter(Boolean).slice(0, -1).slice(0, 2);
+
+            segments.forEach((segment, index) => {
+                const eventPath = `${prefix}${segments.slice(0, index + 1).join('/')}`;
+                const group = groups.get(eventPath) || { path: eventPath, startAt: createdAt, endAt: createdAt };
+
+                if (createdAt < group.startAt) {
+                    group.startAt = createdAt;
+                }
+                if (createdAt > group.endAt) {
+                    group.endAt = createdAt;
+                }
+                groups.set(eventPath, group);
+            });
+        });
+
+        return sortByStart(withValidPatterns([...groups.values()].map(group => this.describe(group))));
+    },
+
+    /**
+     * Turn raw event data into what the selector and queries need
+     * @param {object} raw - {path, name, type, startAt, endAt}
+     * @returns {object} {id, path, pathPattern, name, type, icon, subtitle, startAt, endAt}
+     */
+    describe(raw) {
+        const slug = raw.path.split('/').filter(Boolean).pop();
+
+        return Object.freeze({
+            id: raw.path,
+            path: raw.path,
+            pathPattern: `${raw.path.replace(/_/g, '\\_')}/%`, // `_` alone would match any character
+            name: raw.name || titleCase(slug),
+            type: raw.type || null,
+            icon: this.getIcon(raw.path, raw.type),
+            subtitle: formatDateRange(raw.startAt, raw.endAt),
+            startAt: raw.startAt || null,
+            endAt: raw.endAt || null
+        });
+    },
+
+    /**
+     * Key of an event in the #/profile/:event route
+     * @param {object} event - Event from discover()
+     * @returns {string|null} Path below the campus prefix, null for Events.ALL
+     */
+    toRouteParam(event) {
+        return event.path ? event.path.slice(CONFIG.EVENT_PATH_PREFIX.length) : null;
+    },
+
+    /**
+     * Event for a #/profile/:event key, usable before discover() has run
+     * @param {string} param - e.g. 'div-01/piscine-js'
+     * @returns {object|null} Event, or null when the key is not an event path on this campus
+     */
+    fromRouteParam(param) {
+        const event = this.describe({ path: `${CONFIG.EVENT_PATH_PREFIX}${param}` });
+        return Validators.eventPathPattern(event.pathPattern).valid ? event : null;
+    },
+
+    /**
+     * Pick an icon from the event's path, then its type
+     * @param {string} path - Event path
+     * @param {string|null} type - Object type
+     * @returns {string}
+     */
+    getIcon(path, type) {
+        const words = path.split('/').pop().split('-');
+        const match = words.find(word => this.ICONS.segments[word]);
+
+        if (match) {
+            return this.ICONS.segments[match];
+        }
+
+        return this.ICONS.types[type] || this.ICONS.types[words[0]] || this.ICONS.fallback;
+    }
+};
+
+// Freeze the Events object to prevent modifications
+Object.freeze(Events);
+
+/**
+ * Helper: drop events whose path cannot be used as a query filter
+ * @param {Array<object>} events
+ * @returns {Array<object>}
+ */
+function withValidPatterns(events) {
+    return events.filter(event => {
+        const { valid, error } = Validators.eventPathPattern(event.pathPattern);
+        if (!valid) {
+            console.warn(`Skipping event ${event.path}: ${error}`);
+        }
+        return valid;
+    });
+}
+
+/**
+ * Helper: sort events by start date, undated ones last
+ * @param {Array<object>} events
+ * @returns {Array<object>}
+ */
+function sortByStart(events) {
+    return events.sort((a, b) => {
+        if (!a.startAt || !b.startAt) {
+            return a.startAt ? -1 : b.startAt ? 1 : 0;
+        }
+        return a.startAt.localeCompare(b.startAt);
+    });
+}
+
+/**
+ * Helper: 'piscine-go' -> 'Piscine Go'
+ * @param {string} slug
+ * @returns {string}
+ */
+function titleCase(slug) {
+    return slug
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Helper: 'Feb 2023 – Mar 2023', a single month, or '' without a valid start
+ * An end date that is invalid or before the start is left out.
+ * @param {string|null} startAt - ISO date
+ * @param {string|null} endAt - ISO date
+ * @returns {string}
+ */
+function formatDateRange(startAt, endAt) {
+    const month = date => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    const range = Validators.dateRange(startAt, endAt);
+
+    if (!range.start) {
+        return '';
+    }
+
+    const start = month(range.start);
+    const end = range.end ? month(range.end) : null;
+
+    return end && end !== start ? `${start} – ${end}` : start;
+}
@@ -0,0 +1,315 @@
+/**
+ * Fixtures
+ * Offline fixture mode: a demo login and GraphQL responses replayed from
+ * recorded JSON, plus a recorder that captures real responses as new fixtures
+ *
+ * Fixture files map operation names to recorded responses:
+ *     { "GetTotalXP": [ { "variables": { "path": "/athens/piscine-go/%" }, "response": { "data": ... } } ] }
+ * An entry matches when every variable it lists equals the request's; entries
+ * without variables match any request. The most specific match wins.
+ */
+
+const Fixtures = {
+    STORAGE_KEY: 'fixture_mode',
+
+    /**
+     * Personal fields replaced while recording
+     */
+    SCRUBBED_FIELDS: {
+        login: () => CONFIG.FIXTURES.DEMO_LOGIN,
+        firstName: () => 'Demo',
+        lastName: () => 'User',
+        email: () => 'demo@example.com',
+        attrs: attrs => (attrs && attrs.email ? { email: 'demo@example.com' } : {})
+    },
+
+    /**
+     * Fields holding the signed-in user's ID, replaced with the demo user's ID
+     */
+    USER_ID_FIELDS: ['id', 'userId', 'auditorId', 'captainId'],
+
+    state: {
+        fixtures: null, // Promise of the loaded fixture file
+        recording: {}
+    },
+
+    /**
+     * Get the current fixture mode
+     * A ?fixtures= URL flag is remembered for the session, so it survives
+     * the login -> profile redirect.
+     * @returns {string} 'replay', 'record' or 'off'
+     */
+    getMode() {
+        const flag = new URLSearchParams(window.location.search).get(CONFIG.FIXTURES.URL_PARAM);
+
+        if (flag === 'off') {
+            sessionStorage.removeItem(this.STORAGE_KEY);
+        } else if (flag !== null) {
+            sessionStorage.setItem(this.STORAGE_KEY, flag === 'record' ? 'record' : 'replay');
+        }
+
+        return sessionStorage.getItem(this.STORAGE_KEY) || (CONFIG.FIXTURES.ENABLED ? 'replay' : 'off');
+    },
+
+    /**
+     * Check if responses are answered from fixtures
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.getMode() === 'replay';
+    },
+
+    /**
+     * Check if real responses are being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.getMode() === 'record';
+    },
+
+    /**
+     * Create an unsigned token for the demo user
+     * @param {string} identifier - Username entered on the login form
+     * @param {string} password - Password entered on the login form
+     * @returns {string|null} Token, or null if the credentials are not the demo user's
+     */
+    createDemoToken(identifier, password) {
+        const demo = CONFIG.FIXTURES;
+
+        if (identifier !== demo.DEMO_LOGIN || password !== demo.DEMO_PASSWORD) {
+            return null;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const payload = {
+            sub: String(demo.DEMO_USER_ID),
+            iat: now,
+            exp: now + demo.DEMO_TOKEN_TTL,
+            [CONFIG.HASURA_CLAIMS]: {
+                'x-hasura-user-id': String(demo.DEMO_USER_ID),
+                'x-hasura-default-role': 'user',
+                'x-hasura-allowed-roles': ['user']
+            }
+        };
+
+        return `${encodeSegment({ alg: 'none', typ: 'JWT' })}.${encodeSegment(payload)}.fixture`;
+    },
+
+    /**
+     * Load the fixture file once
+     * @returns {Promise<object>} Fixtures keyed by operation name
+     */
+    load() {
+        if (!this.state.fixtures) {
+            this.state.fixtures = fetch(CONFIG.FIXTURES.SOURCE)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Let a later request try again
+                    this.state.fixtures = null;
+                    throw error;
+                });
+        }
+
+        return this.state.fixtures;
+    },
+
+    /**
+     * Find the recorded payload for a request
+     * Requests without a fixture fail instead of falling through to the network.
+     * @param {object} request - GraphQL middleware request
+     * @returns {Promise<object>} GraphQL payload {data} or {errors}
+     */
+    async resolve(request) {
+        const operation = getOperationName(request.query);
+
+        let fixtures;
+        try {
+            fixtures = await this.load();
+        } catch (error) {
+            return fixtureError(`Could not load fixtures from ${CONFIG.FIXTURES.SOURCE}: ${error.message}`);
+        }
+
+        const variables = request.variables || {};
+        const match = (fixtures[operation] || [])
+            .filter(entry => matchesVariables(entry.variables || {}, variables))
+            .sort((a, b) => Object.keys(b.variables || {}).length - Object.keys(a.variables || {}).length)[0];
+
+        if (!match) {
+            return fixtureError(`No fixture recorded for ${operation} with variables ${JSON.stringify(variables)}`);
+        }
+
+        return match.response;
+    },
+
+    /**
+     * Middleware answering every request from fixtures
+     * @returns {Function} Middleware
+     */
+    middleware() {
+        return GraphQLMiddleware.mock(request => this.resolve(request));
+    },
+
+    /**
+     * Middleware recording successful responses, with personal data scrubbed
+     * @returns {Function} Middleware
+     */
+    recorder() {
+        return async (request, next) => {
+            const result = await next(request);
+
+            if (result.success) {
+                this.record(request, result.data);
+            }
+
+            return result;
+        };
+    },
+
+    /**
+     * Add a response to the recording, replacing any entry with the same variables
+     * @param {object} request - GraphQL middleware request
+     * @param {object} data - Response data
+     */
+    record(request, data) {
+        const operation = getOperationName(request.query);
+        const userId = Storage.getUserId();
+        const variables = this.scrub(request.variables || {}, userId);
+        const entries = (this.state.recording[operation] = this.state.recording[operation] || []);
+        const existing = entries.findIndex(entry => JSON.stringify(entry.variables) === JSON.stringify(variables));
+        const entry = { variables, response: { data: this.scrub(data, userId) } };
+
+        if (existing === -1) {
+            entries.push(entry);
+        } else {
+            entries[existing] = entry;
+        }
+    },
+
+    /**
+     * Replace personal data in a response or variables
+     * @param {*} value - Value to scrub
+     * @param {number|null} userId - Signed-in user's ID
+     * @returns {*} Scrubbed copy
+     */
+    scrub(value, userId) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.scrub(item, userId));
+        }
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const scrubbed = {};
+        Object.entries(value).forEach(([key, field]) => {
+            if (Object.prototype.hasOwnProperty.call(this.SCRUBBED_FIELDS, key)) {
+                scrubbed[key] = this.SCRUBBED_FIELDS[key](field);
+            } else if (this.USER_ID_FIELDS.includes(key) && userId !== null && Number(field) === userId) {
+                scrubbed[key] = CONFIG.FIXTURES.DEMO_USER_ID;
+            } else {
+                scrubbed[key] = this.scrub(field, userId);
+            }
+        });
+        return scrubbed;
+    },
+
+    /**
+     * Get the responses recorded so far, in fixture file format
+     * @returns {object} Fixtures keyed by operation name
+     */
+    getRecording() {
+        return JSON.parse(JSON.stringify(this.state.recording));
+    },
+
+    /**
+     * Download the recording as a fixture file
+     */
+    downloadRecording() {
+        const blob = new Blob([JSON.stringify(this.getRecording(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'fixtures.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    },
+
+    /**
+     * Show a badge while fixture mode or the recorder is active
+     */
+    showIndicator() {
+        const mode = this.getMode();
+        if (mode === 'off') {
+            return;
+        }
+
+        const badge = document.createElement('div');
+        badge.className = `fixture-badge ${mode}`;
+
+        if (mode === 'replay') {
+            badge.textContent = `Demo data (sign in as ${CONFIG.FIXTURES.DEMO_LOGIN} / ${CONFIG.FIXTURES.DEMO_PASSWORD})`;
+        } else {
+            badge.textContent = 'Recording fixtures ';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Download';
+            button.addEventListener('click', () => this.downloadRecording());
+            badge.appendChild(button);
+        }
+
+        document.body.appendChild(badge);
+    }
+};
+
+// Freeze the Fixtures object to prevent modifications
+Object.freeze(Fixtures);
+
+// Plug fixture mode into the GraphQL client on pages that query the API
+if (typeof GraphQL !== 'undefined') {
+    if (Fixtures.isEnabled()) {
+        GraphQL.use(Fixtures.middleware(), { name: 'fixtures', after: 'auth' });
+    } else if (Fixtures.isRecording()) {
+        GraphQL.use(Fixtures.recorder(), { name: 'fixture-recorder', after: 'auth' });
+    }
+}
+
+Fixtures.showIndicator();
+
+/**
+ * Helper: check that every expected variable equals the request's
+ * @param {object} expected - Variables listed by a fixture entry
+ * @param {object} actual - Request variables
+ * @returns {boolean}
+ */
+function matchesVariables(expected, actual) {
+    return Object.keys(expected).every(name =>
+        JSON.stringify(expected[name]) === JSON.stringify(actual[name])
+    );
+}
+
+/**
+ * Helper: GraphQL payload for a missing or unreadable fixture
+ * @param {string} message
+ * @returns {object}
+ */
+function fixtureError(message) {
+    return { errors: [{ message, extensions: { code: 'fixture-missing' } }] };
+}
+
+/**
+ * Helper: base64url-encode a JSON token segment
+ * @param {object} value
+ * @returns {string}
+ */
+function encodeSegment(value) {
+    return btoa(JSON.stringify(value))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
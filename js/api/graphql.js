@@ -1,138 +1,691 @@
 /**
  * GraphQL API Handler
  * Handles all GraphQL queries and mutations
+ *
+ * Every call runs through a middleware pipeline (see js/api/middleware.js)
+ * before reaching the network transport. The default chain, outermost first,
+ * is logging -> auth -> cache -> proxy.
  */
 
 const GraphQL = {
     /**
-     * Execute a GraphQL query
+     * Registered middleware, outermost first: [{name, fn}]
+     */
+    middlewares: [],
+
+    /**
+     * Execute a GraphQL query through the middleware pipeline
      * @param {string} query - GraphQL query string
      * @param {object} variables - Query variables (optional)
+     * @param {object} options - Request options (optional)
+     * @param {boolean} options.cache - Set to false to bypass the cache for this call
+     * @param {number} options.ttl - Milliseconds the response stays fresh
+     * @param {boolean} options.persist - Persist the response to IndexedDB
+     * @param {object|boolean} options.retry - Retry policy overrides, or false to disable retries
+     * @param {AbortSignal} options.signal - Cancels the request; the result then has `aborted: true`
+     * @param {number} options.timeout - Milliseconds per attempt before giving up (default: CONFIG.GRAPHQL_TIMEOUT)
+     * @returns {Promise<object>} Query result data
+     */
+    async query(query, variables = {}, options = {}) {
+        const request = {
+            query,
+            variables,
+            options,
+            url: CONFIG.GRAPHQL_ENDPOINT,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            context: {}
+        };
+
+        return this.dispatch(request, 0);
+    },
+
+    /**
+     * Run a request through the middleware at `index` and everything after it
+     * @param {object} request - Pipeline request
+     * @param {number} index - Position in the middleware list
      * @returns {Promise<object>} Query result data
      */
-    async query(query, variables = {}) {
+    async dispatch(request, index) {
+        if (index >= this.middlewares.length) {
+            return this.transport(request);
+        }
+
+        const middleware = this.middlewares[index];
+
         try {
-            // Check authentication
-            if (!Auth.isAuthenticated()) {
-                throw new Error('Not authenticated. Please login first.');
+            return await middleware.fn(request, nextRequest => this.dispatch(nextRequest, index + 1));
+        } catch (error) {
+            console.error(`GraphQL middleware "${middleware.name}" failed:`, error);
+            return this.toFailure(error);
+        }
+    },
+
+    /**
+     * Add a middleware to the pipeline
+     * @param {Function} fn - Middleware `(request, next) => result`
+     * @param {object} position - Placement options (optional)
+     * @param {string} position.name - Name used to remove or position against it (default: fn.name)
+     * @param {string} position.before - Insert before the middleware with this name
+     * @param {string} position.after - Insert after the middleware with this name
+     * @returns {Function} Function that removes the middleware again
+     */
+    use(fn, position = {}) {
+        const name = position.name || fn.name || `middleware-${this.middlewares.length}`;
+        const entry = { name, fn };
+        const anchor = position.before || position.after;
+        const anchorIndex = anchor ? this.middlewares.findIndex(m => m.name === anchor) : -1;
+
+        if (anchorIndex === -1) {
+            // Without an anchor, new middleware sits innermost, just before the network
+            this.middlewares.push(entry);
+        } else {
+            this.middlewares.splice(position.before ? anchorIndex : anchorIndex + 1, 0, entry);
+        }
+
+        return () => this.remove(fn);
+    },
+
+    /**
+     * Remove a middleware from the pipeline
+     * @param {string|Function} nameOrFn - Middleware name or function
+     * @returns {boolean} True if a middleware was removed
+     */
+    remove(nameOrFn) {
+        const index = this.middlewares.findIndex(m => m.name === nameOrFn || m.fn === nameOrFn);
+
+        if (index === -1) {
+            return false;
+        }
+
+        this.middlewares.splice(index, 1);
+        return true;
+    },
+
+    /**
+     * Get the names of the registered middleware, outermost first
+     * @returns {Array<string>} Middleware names
+     */
+    listMiddleware() {
+        return this.middlewares.map(m => m.name);
+    },
+
+    /**
+     * End of the pipeline: send the request, joining a batch when it belongs to one
+     * @param {object} request - Pipeline request
+     * @returns {Promise<object>} Query result data
+     */
+    transport(request) {
+        const slot = request.options.batch;
+
+        if (!slot || slot.group.flushed) {
+            return this.execute(request);
+        }
+
+        return new Promise(resolve => {
+            slot.group.queue.push({ request, resolve });
+            this.settleBatchSlot(slot);
+        });
+    },
+
+    /**
+     * Requests currently in flight, keyed by endpoint, query and variables
+     * Each entry is {promise, controller, subscribers}
+     */
+    inflight: new Map(),
+
+    /**
+     * Execute a request over the network
+     * Identical operations already in flight share a single request. Each caller
+     * may cancel through its own signal; the shared request is only aborted once
+     * every caller waiting on it has cancelled.
+     * @param {object} request - Pipeline request
+     * @returns {Promise<object>} Query result data
+     */
+    execute(request) {
+        const key = `${request.url}|${QueryCache.key(request.query, request.variables)}`;
+        let entry = this.inflight.get(key);
+
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0, promise: null };
+            entry.promise = this.sendWithRetry(request, controller.signal).finally(() => {
+                if (this.inflight.get(key) === entry) {
+                    this.inflight.delete(key);
+                }
+            });
+            this.inflight.set(key, entry);
+        }
+
+        return this.subscribe(key, entry, request.options.signal);
+    },
+
+    /**
+     * Wait on a shared in-flight request on behalf of one caller
+     * @param {string} key - In-flight key
+     * @param {object} entry - In-flight entry
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @returns {Promise<object>} Query result data, or an aborted result
+     */
+    subscribe(key, entry, signal) {
+        entry.subscribers++;
+
+        if (!signal) {
+            return entry.promise;
+        }
+
+        const release = () => {
+            entry.subscribers--;
+            if (entry.subscribers === 0) {
+                // Nobody is waiting any more: stop the request and let new callers start afresh
+                entry.controller.abort();
+                if (this.inflight.get(key) === entry) {
+                    this.inflight.delete(key);
+                }
             }
+        };
+
+        if (signal.aborted) {
+            release();
+            return Promise.resolve(this.toFailure(new AbortedError()));
+        }
 
-            // Get auth headers
-            const headers = {
-                ...Auth.getAuthHeaders(),
-                ...CONFIG.getProxyHeaders()
+        return new Promise(resolve => {
+            const onAbort = () => {
+                release();
+                resolve(this.toFailure(new AbortedError()));
             };
 
-            // Make the request (with CORS proxy if enabled)
-            const response = await fetch(CONFIG.getGraphQLEndpoint(), {
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(result => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+            });
+        });
+    },
+
+    /**
+     * Send a request, retrying transient failures according to the retry policy
+     * Never throws: failures resolve to {success: false, error, errorType, ...}
+     * @param {object} request - Pipeline request
+     * @param {AbortSignal} signal - Aborts the request and any pending retry
+     * @returns {Promise<object>} Query result data
+     */
+    async sendWithRetry(request, signal = null) {
+        const options = request.options;
+        const policy = this.getRetryPolicy(request.query, options);
+        const timeout = options.timeout !== undefined ? options.timeout : CONFIG.GRAPHQL_TIMEOUT;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const data = await this.send(request, signal, timeout);
+                return {
+                    success: true,
+                    data
+                };
+            } catch (error) {
+                if (error instanceof AbortedError) {
+                    return this.toFailure(error);
+                }
+
+                const delay = this.getRetryDelay(error, attempt, policy);
+
+                if (delay === null) {
+                    return this.toFailure(error);
+                }
+
+                console.warn(`Query attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
+                await this.sleep(delay);
+
+                if (signal && signal.aborted) {
+                    return this.toFailure(new AbortedError());
+                }
+            }
+        }
+    },
+
+    /**
+     * Send a GraphQL request once
+     * @param {object} request - Pipeline request
+     * @param {AbortSignal} signal - Cancels the request (optional)
+     * @param {number} timeout - Milliseconds before the request is abandoned (0 for none)
+     * @returns {Promise<object>} Response data
+     * @throws {AuthError|NetworkError|TimeoutError|AbortedError|HttpError|GraphQLError}
+     */
+    async send(request, signal = null, timeout = CONFIG.GRAPHQL_TIMEOUT) {
+        if (signal && signal.aborted) {
+            throw new AbortedError();
+        }
+
+        // One controller per attempt, tripped by the caller's signal or the timeout
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            return await this.request(request, controller.signal);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw timedOut ? new TimeoutError(timeout) : new AbortedError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    },
+
+    /**
+     * Perform the HTTP request and turn the response into data or a typed error
+     * @param {object} request - Pipeline request
+     * @param {AbortSignal} signal - Signal passed to fetch
+     * @returns {Promise<object>} Response data
+     * @throws {AuthError|NetworkError|HttpError|GraphQLError}
+     */
+    async request(request, signal) {
+        let response;
+        try {
+            response = await fetch(request.url, {
                 method: 'POST',
-                headers: headers,
+                headers: request.headers,
                 body: JSON.stringify({
-                    query: query,
-                    variables: variables
-                })
+                    query: request.query,
+                    variables: request.variables
+                }),
+                signal
             });
+        } catch (error) {
+            throw new NetworkError(undefined, error);
+        }
 
-            // Check if response is ok
-            if (!response.ok) {
-                if (response.status === 401) {
-                    // Token expired or invalid
-                    Auth.logout();
-                    throw new Error('Session expired. Please login again.');
-                } else if (response.status === 403) {
-                    throw new Error('Access forbidden. You do not have permission to access this resource.');
-                } else if (response.status === 500) {
-                    throw new Error('Server error. Please try again later.');
-                } else {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
+        // Check if response is ok
+        if (!response.ok) {
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+            if (response.status === 401) {
+                // Token expired or invalid
+                throw new AuthError(undefined, 401);
+            } else if (response.status === 403) {
+                throw new HttpError(403, 'Access forbidden. You do not have permission to access this resource.');
+            } else if (response.status === 429) {
+                throw new HttpError(429, 'Too many requests. Please wait a moment.', retryAfter);
+            } else if (response.status >= 500) {
+                throw new HttpError(response.status, 'Server error. Please try again later.', retryAfter);
+            } else {
+                throw new HttpError(response.status, undefined, retryAfter);
             }
+        }
 
-            // Parse JSON response
-            const result = await response.json();
+        // Parse JSON response
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            throw new HttpError(response.status, 'Received an invalid response from the server.');
+        }
 
-            // Check for GraphQL errors
-            if (result.errors && result.errors.length > 0) {
-                console.error('GraphQL errors:', result.errors);
-                
-                // Get the first error message
-                const errorMessage = result.errors[0].message || 'GraphQL query failed';
-                throw new Error(errorMessage);
+        return this.readPayload(payload);
+    },
+
+    /**
+     * Extract data from a GraphQL payload, throwing a typed error for `errors`
+     * @param {object} payload - {data, errors}
+     * @returns {object} Response data
+     * @throws {AuthError|GraphQLError}
+     */
+    readPayload(payload) {
+        if (payload.errors && payload.errors.length > 0) {
+            const error = new GraphQLError(payload.errors, payload.data);
+
+            if (GraphQLError.AUTH_CODES.includes(error.code)) {
+                throw new AuthError(error.message, null, error.code);
             }
 
-            // Return the data
+            throw error;
+        }
+
+        return payload.data;
+    },
+
+    /**
+     * Convert a GraphQL payload into the result shape returned by query()
+     * Used by middleware that answers requests without the network
+     * @param {object} payload - {data, errors}
+     * @returns {object} Query result data
+     */
+    fromPayload(payload) {
+        try {
             return {
                 success: true,
-                data: result.data
+                data: this.readPayload(payload)
             };
-
         } catch (error) {
-            console.error('GraphQL query error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return this.toFailure(error);
         }
     },
 
     /**
-     * Execute multiple GraphQL queries in parallel
-     * @param {Array<object>} queries - Array of query objects {query, variables}
+     * Resolve the retry policy for a request
+     * Mutations are not idempotent, so they are only retried when the caller opts in.
+     * @param {string} query - GraphQL query string
+     * @param {object} options - Request options; options.retry overrides CONFIG.GRAPHQL_RETRY
+     * @returns {object} {maxAttempts, baseDelay, maxDelay, maxRetryAfter, retryMutations}
+     */
+    getRetryPolicy(query, options = {}) {
+        const defaults = CONFIG.GRAPHQL_RETRY;
+        const overrides = options.retry || {};
+
+        const policy = {
+            maxAttempts: defaults.MAX_ATTEMPTS,
+            baseDelay: defaults.BASE_DELAY,
+            maxDelay: defaults.MAX_DELAY,
+            maxRetryAfter: defaults.MAX_RETRY_AFTER,
+            retryMutations: defaults.RETRY_MUTATIONS,
+            ...overrides
+        };
+
+        const isMutation = /^\s*mutation\b/.test(query.replace(/#[^\n]*/g, ''));
+
+        if (options.retry === false || (isMutation && !policy.retryMutations)) {
+            policy.maxAttempts = 1;
+        }
+
+        return policy;
+    },
+
+    /**
+     * Work out how long to wait before retrying a failed attempt
+     * Exponential backoff with full jitter, raised to honor Retry-After.
+     * @param {Error} error - Error thrown by send()
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {object} policy - Retry policy from getRetryPolicy()
+     * @returns {number|null} Delay in milliseconds, or null to give up
+     */
+    getRetryDelay(error, attempt, policy) {
+        if (attempt >= policy.maxAttempts || !error.retryable) {
+            return null;
+        }
+
+        const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        const backoff = Math.round(Math.random() * ceiling);
+
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            // Waiting longer than the policy allows is worse than failing now
+            if (error.retryAfter > policy.maxRetryAfter) {
+                return null;
+            }
+            return Math.max(error.retryAfter, backoff);
+        }
+
+        return backoff;
+    },
+
+    /**
+     * Convert an error into the result shape returned by query()
+     * @param {Error} error - Error thrown by send()
+     * @returns {object} {success: false, error, errorType, status, code, errors, data}
+     */
+    toFailure(error) {
+        const failure = {
+            success: false,
+            error: error.message,
+            errorType: error.name,
+            cause: error
+        };
+
+        if (error instanceof AbortedError) {
+            // Lets callers skip cancelled requests without treating them as failures
+            failure.aborted = true;
+        }
+
+        if (error.status) {
+            failure.status = error.status;
+        }
+
+        if (error.code) {
+            failure.code = error.code;
+        }
+
+        if (error instanceof GraphQLError) {
+            // Keep the full list and partial data for batch splitting
+            failure.errors = error.errors;
+            failure.data = error.data;
+        }
+
+        return failure;
+    },
+
+    /**
+     * Execute multiple GraphQL queries as a single aliased request
+     *
+     * Each query still runs through the middleware pipeline on its own, so cache
+     * hits never reach the network. Whatever reaches the transport is merged into
+     * one document once every query in the batch has either been queued or answered.
+     *
+     * @param {Array<object>} queries - Array of query objects {query, variables, ttl}
+     * @param {object} options - Request options, as for query()
+     * @returns {Promise<Array>} Array of query results, in input order
+     */
+    async queryBatch(queries, options = {}) {
+        const group = { size: queries.length, settled: 0, queue: [], flushed: false };
+
+        return Promise.all(queries.map(q => {
+            const slot = { group, settled: false };
+            const itemOptions = { ...options, batch: slot };
+
+            if (q.ttl !== undefined) {
+                itemOptions.ttl = q.ttl;
+            }
+
+            return this.query(q.query, q.variables, itemOptions).then(result => {
+                // Answered without reaching the transport (cache hit, mock, failure)
+                this.settleBatchSlot(slot);
+                return result;
+            });
+        }));
+    },
+
+    /**
+     * Mark a batch slot as queued or answered, and flush the batch once all are
+     * @param {object} slot - {group, settled}
+     */
+    settleBatchSlot(slot) {
+        if (!slot.settled) {
+            slot.settled = true;
+            slot.group.settled++;
+        }
+
+        const group = slot.group;
+        if (group.flushed || group.settled < group.size) {
+            return;
+        }
+
+        group.flushed = true;
+        this.flushBatch(group.queue);
+    },
+
+    /**
+     * Send queued batch requests, merging those bound for the same endpoint with the same headers
+     * @param {Array<object>} queue - [{request, resolve}]
+     */
+    flushBatch(queue) {
+        const groups = new Map();
+
+        queue.forEach(item => {
+            const key = `${item.request.url}|${JSON.stringify(item.request.headers)}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        });
+
+        groups.forEach(items => {
+            this.sendMerged(items.map(item => item.request)).then(results => {
+                items.forEach((item, index) => item.resolve(results[index]));
+            });
+        });
+    },
+
+    /**
+     * Send requests as one merged request and split the response per request
+     * Falls back to separate requests when the queries cannot be merged.
+     * @param {Array<object>} requests - Pipeline requests sharing url and headers
      * @returns {Promise<Array>} Array of query results
      */
-    async queryBatch(queries) {
-        try {
-            const promises = queries.map(q => this.query(q.query, q.variables));
-            const results = await Promise.all(promises);
-            return results;
-        } catch (error) {
-            console.error('Batch query error:', error);
-            throw error;
+    async sendMerged(requests) {
+        const plan = requests.length > 1
+            ? QueryMerger.merge(requests.map(r => ({ query: r.query, variables: r.variables })))
+            : null;
+
+        if (!plan) {
+            return Promise.all(requests.map(r => this.execute(r)));
+        }
+
+        // Share a signal only when every request in the batch uses the same one
+        const signal = requests.every(r => r.options.signal === requests[0].options.signal)
+            ? requests[0].options.signal
+            : undefined;
+
+        const response = await this.execute({
+            ...requests[0],
+            query: plan.query,
+            variables: plan.variables,
+            options: { ...requests[0].options, batch: null, signal }
+        });
+
+        if (response.success || response.errors) {
+            return Promise.all(QueryMerger.split(plan, response).map((result, index) => {
+                // One bad query must not sink the others: send the ones that never ran on their own
+                if (result.unanswered) {
+                    return this.execute(requests[index]);
+                }
+
+                // Re-read failed parts so they carry the same typed error details as single queries
+                return result.success ? result : this.fromPayload({ errors: result.errors });
+            }));
         }
+
+        // Network, HTTP, auth or abort failure: every query failed the same way
+        return requests.map(() => response);
     },
 
     /**
-     * Execute a GraphQL query with retry logic
+     * Fetch every row of a paginated query, one page at a time
+     *
+     * The query must declare `$limit` plus either `$offset` (mode 'offset') or
+     * `$after` (mode 'keyset'). Keyset queries filter with `{ _gt: $after }`,
+     * order ascending by the cursor field and give `$after` a default that
+     * precedes every row. Pages of CONFIG.GRAPHQL_BATCH_SIZE rows are requested
+     * until a short page comes back.
+     *
      * @param {string} query - GraphQL query string
-     * @param {object} variables - Query variables (optional)
-     * @param {number} maxRetries - Maximum number of retries (default: 3)
-     * @returns {Promise<object>} Query result data
+     * @param {object} variables - Query variables (limit/offset/after are filled in)
+     * @param {object} options - Pagination options, also passed on to query()
+     * @param {string} options.field - Root field holding the rows (required with firstPage)
+     * @param {string} options.mode - 'offset' (default) or 'keyset'
+     * @param {string} options.cursorField - Row field used as keyset cursor (default: 'createdAt')
+     * @param {number} options.pageSize - Rows per page (default: CONFIG.GRAPHQL_BATCH_SIZE)
+     * @param {number} options.total - Expected row count, reported with progress
+     * @param {Array} options.firstPage - Rows of a first page that was already fetched
+     * @param {Function} options.onPage - Called with (pageRows, {page, loaded, total, done, rows}) per page
+     * @param {Function} options.onProgress - Called with {page, loaded, total, done} per page
+     * @returns {Promise<object>} {success, data: {[field]: rows}, pages}; on failure data holds the rows loaded so far
      */
-    async queryWithRetry(query, variables = {}, maxRetries = 3) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const result = await this.query(query, variables);
-                
-                if (result.success) {
-                    return result;
-                }
-                
-                lastError = result.error;
-                
-                // Don't retry on authentication errors
-                if (result.error && result.error.includes('authenticated')) {
-                    break;
+    async paginate(query, variables = {}, options = {}) {
+        const mode = options.mode || 'offset';
+        const pageSize = options.pageSize || CONFIG.GRAPHQL_BATCH_SIZE;
+        const cursorField = options.cursorField || 'createdAt';
+        const total = options.total !== undefined ? options.total : null;
+        const rows = [];
+        let field = options.field || null;
+        let pageRows = options.firstPage || null;
+        let page = 0;
+
+        for (;;) {
+            if (!pageRows) {
+                const pageVariables = { ...variables, limit: pageSize };
+
+                if (mode === 'keyset') {
+                    if (rows.length > 0) {
+                        pageVariables.after = rows[rows.length - 1][cursorField];
+                    }
+                } else {
+                    pageVariables.offset = rows.length;
                 }
-                
-            } catch (error) {
-                lastError = error.message;
-                console.warn(`Query attempt ${attempt} failed:`, error);
-                
-                // Wait before retrying (exponential backoff)
-                if (attempt < maxRetries) {
-                    await this.sleep(Math.pow(2, attempt) * 100);
+
+                const result = await this.query(query, pageVariables, options);
+
+                if (!result.success) {
+                    return {
+                        ...result,
+                        data: field ? { [field]: rows } : null,
+                        pages: page
+                    };
                 }
+
+                field = field || Object.keys(result.data)[0];
+                pageRows = result.data[field] || [];
+            }
+
+            rows.push(...pageRows);
+            page++;
+
+            const progress = {
+                page,
+                loaded: rows.length,
+                total,
+                done: pageRows.length < pageSize
+            };
+
+            if (options.onPage) {
+                options.onPage(pageRows, { ...progress, rows });
             }
+
+            if (options.onProgress) {
+                options.onProgress(progress);
+            }
+
+            if (progress.done) {
+                break;
+            }
+
+            pageRows = null;
         }
-        
+
         return {
-            success: false,
-            error: lastError || 'Query failed after multiple attempts'
+            success: true,
+            data: { [field]: rows },
+            pages: page
         };
     },
 
+    /**
+     * Execute a GraphQL query with retry logic
+     * Same as query() with the retry policy's attempt count overridden
+     * @param {string} query - GraphQL query string
+     * @param {object} variables - Query variables (optional)
+     * @param {number} maxRetries - Maximum number of attempts (default: 3)
+     * @returns {Promise<object>} Query result data
+     */
+    async queryWithRetry(query, variables = {}, maxRetries = 3) {
+        return this.query(query, variables, {
+            retry: { maxAttempts: maxRetries }
+        });
+    },
+
     /**
      * Helper function to sleep/delay
      * @param {number} ms - Milliseconds to sleep
@@ -149,7 +702,7 @@ const GraphQL = {
     async testConnection() {
         try {
             const result = await this.query(`
-                query {
+                query TestConnection {
                     user {
                         id
                     }
@@ -165,12 +718,13 @@ const GraphQL = {
 
     /**
      * Get current user basic info
+     * Filtered by ID: roles other than `user` can read every user
      * @returns {Promise<object>} User data
      */
     async getCurrentUser() {
         const result = await this.query(`
-            query {
-                user {
+            query GetCurrentUser($userId: Int!) {
+                user(where: { id: { _eq: $userId } }) {
                     id
                     login
                     campus
@@ -179,7 +733,7 @@ const GraphQL = {
                     updatedAt
                 }
             }
-        `);
+        `, { userId: Storage.getUserId() });
 
         if (result.success && result.data.user && result.data.user.length > 0) {
             return {
@@ -196,71 +750,38 @@ const GraphQL = {
 
     /**
      * Build a GraphQL query with filters
+     * Values are serialized as GraphQL input (unquoted keys, enum directions),
+     * so nested _and/_or/_not and relationship filters work as plain objects.
      * @param {string} table - Table name
-     * @param {Array<string>} fields - Fields to select
+     * @param {Array<string|object>} fields - Fields to select, e.g. ['amount', {object: ['name']}]
      * @param {object} where - Where conditions
-     * @param {object} orderBy - Order by conditions
+     * @param {object|Array<object>} orderBy - Order by conditions, e.g. {createdAt: 'desc'}
      * @param {number} limit - Limit results
+     * @param {object} options - {offset, distinctOn, operationName, variableDefinitions}
      * @returns {string} GraphQL query string
      */
-    buildQuery(table, fields, where = {}, orderBy = {}, limit = null) {
-        let query = `query {\n  ${table}`;
-        
-        // Add parameters
-        const params = [];
-        
-        if (Object.keys(where).length > 0) {
-            params.push(`where: ${JSON.stringify(where)}`);
-        }
-        
-        if (Object.keys(orderBy).length > 0) {
-            params.push(`order_by: ${JSON.stringify(orderBy)}`);
-        }
-        
-        if (limit !== null) {
-            params.push(`limit: ${limit}`);
-        }
-        
-        if (params.length > 0) {
-            query += `(${params.join(', ')})`;
-        }
-        
-        // Add fields
-        query += ` {\n    ${fields.join('\n    ')}\n  }\n}`;
-        
-        return query;
+    buildQuery(table, fields, where = {}, orderBy = {}, limit = null, options = {}) {
+        return QueryBuilder.buildTableQuery(table, fields, {
+            where,
+            orderBy,
+            limit,
+            offset: options.offset,
+            distinctOn: options.distinctOn
+        }, options.operationName, options.variableDefinitions);
     },
 
     /**
      * Get aggregate data (count, sum, avg, etc.)
      * @param {string} table - Table name
      * @param {object} where - Where conditions
-     * @param {Array<string>} aggregates - Aggregate functions (count, sum, avg, max, min)
+     * @param {Array|object} aggregates - Aggregate functions, e.g. ['count', {sum: ['amount']}]
+     *                                    or {count: true, max: ['amount', 'createdAt']}
+     * @param {object} options - Query options passed to query()
      * @returns {Promise<object>} Aggregate results
      */
-    async getAggregate(table, where = {}, aggregates = ['count']) {
-        const aggregateFields = aggregates.map(agg => {
-            if (agg === 'count') {
-                return 'count';
-            }
-            return agg;
-        }).join('\n        ');
-
-        const whereClause = Object.keys(where).length > 0 
-            ? `(where: ${JSON.stringify(where)})` 
-            : '';
-
-        const query = `
-            query {
-                ${table}_aggregate${whereClause} {
-                    aggregate {
-                        ${aggregateFields}
-                    }
-                }
-            }
-        `;
-
-        return await this.query(query);
+    async getAggregate(table, where = {}, aggregates = ['count'], options = {}) {
+        const query = QueryBuilder.buildAggregateQuery(table, where, aggregates);
+        return await this.query(query, {}, options);
     },
 
     /**
@@ -287,3 +808,9 @@ const GraphQL = {
 
 // Freeze the GraphQL object to prevent modifications
 Object.freeze(GraphQL);
+
+// Default middleware chain, outermost first
+GraphQL.use(GraphQLMiddleware.logging(), { name: 'logging' });
+GraphQL.use(GraphQLMiddleware.auth(), { name: 'auth' });
+GraphQL.use(GraphQLMiddleware.cache(), { name: 'cache' });
+GraphQL.use(GraphQLMiddleware.proxy(), { name: 'proxy' });
@@ -0,0 +1,222 @@
+/**
+ * GraphQL Middleware
+ * Built-in middleware for the GraphQL client pipeline
+ *
+ * A middleware is an async function `(request, next) => result`.
+ * `request` is {query, variables, options, url, headers, context}; pass a
+ * modified copy to `next(request)` to continue down the chain, or return a
+ * result ({success, data} / {success: false, error, ...}) to answer without
+ * going further. Register middleware with GraphQL.use(fn, {name, before, after}).
+ */
+
+const GraphQLMiddleware = {
+    /**
+     * Log every operation with its duration and outcome
+     * @returns {Function} Middleware
+     */
+    logging() {
+        return async function logging(request, next) {
+            const started = Date.now();
+            const name = getOperationName(request.query);
+            const result = await next(request);
+            const elapsed = Date.now() - started;
+
+            if (result.success) {
+                const source = result.fromCache ? (result.stale ? ' (stale cache)' : ' (cache)') : '';
+                console.log(`GraphQL ${name} succeeded in ${elapsed}ms${source}`);
+            } else if (result.aborted) {
+                console.log(`GraphQL ${name} cancelled after ${elapsed}ms`);
+            } else {
+                console.error(`GraphQL ${name} failed in ${elapsed}ms:`, result.errors || result.error);
+            }
+
+            return result;
+        };
+    },
+
+    /**
+     * Require a valid session, attach the bearer token and handle auth failures
+     * When the page can renew the session in place (Auth.setRenewalHandler),
+     * requests wait for the new token and are replayed; otherwise the user is logged out.
+     * @returns {Function} Middleware
+     */
+    auth() {
+        return async function auth(request, next) {
+            if (!Auth.isAuthenticated() && !(Auth.canRenewSession() && await Auth.renewSession())) {
+                return GraphQL.toFailure(new AuthError('Not authenticated. Please login first.'));
+            }
+
+            const result = await next(withAuthHeaders(request));
+
+            // The server rejected the token: it is expired or revoked
+            if (result.errorType !== 'AuthError') {
+                return result;
+            }
+
+            if (!Auth.canRenewSession()) {
+                Auth.logout();
+                return result;
+            }
+
+            // Wait for the user to sign in again, then replay with the new token
+            if (!await Auth.renewSession()) {
+                return result;
+            }
+
+            console.log(`Replaying ${getOperationName(request.query)} with the renewed session`);
+            return next(withAuthHeaders(request));
+        };
+    },
+
+    /**
+     * Serve responses from QueryCache with stale-while-revalidate
+     *
+     * Fresh entries are returned without a request. Stale entries are returned
+     * at once with `stale: true` and a `revalidated` promise that resolves to
+     * the refreshed result (with `changed` set when data differs).
+     * Honors options.cache (false to bypass), options.ttl and options.persist.
+     * @returns {Function} Middleware
+     */
+    cache() {
+        return async function cache(request, next) {
+            const options = request.options;
+
+            if (!CONFIG.QUERY_CACHE.ENABLED || options.cache === false) {
+                return next(request);
+            }
+
+            const ttl = options.ttl !== undefined ? options.ttl : CONFIG.QUERY_CACHE.DEFAULT_TTL;
+            const persist = options.persist !== undefined ? options.persist : CONFIG.QUERY_CACHE.PERSIST;
+            const key = QueryCache.key(request.query, request.variables);
+
+            const fetchAndStore = async () => {
+                const result = await next(request);
+                if (result.success) {
+                    QueryCache.set(key, result.data, ttl, persist);
+                }
+                return result;
+            };
+
+            const entry = await QueryCache.get(key, persist);
+            const status = QueryCache.getStatus(entry);
+
+            if (status === 'fresh') {
+                return {
+                    success: true,
+                    data: entry.data,
+                    fromCache: true,
+                    stale: false
+                };
+            }
+
+            if (status === 'stale') {
+                // Serve stale data now and refresh it in the background
+                const revalidated = fetchAndStore().then(result => ({
+                    ...result,
+                    changed: result.success && JSON.stringify(result.data) !== JSON.stringify(entry.data)
+                }));
+
+                return {
+                    success: true,
+                    data: entry.data,
+                    fromCache: true,
+                    stale: true,
+                    revalidated
+                };
+            }
+
+            return fetchAndStore();
+        };
+    },
+
+    /**
+     * Route requests through the proxy route picked by ProxyRouter
+     * When the route goes down mid-session the request is sent once more
+     * through the next healthy route.
+     * @returns {Function} Middleware
+     */
+    proxy() {
+        return async function proxy(request, next) {
+            const route = await ProxyRouter.select();
+
+            if (!route) {
+                return GraphQL.toFailure(new NetworkError(ProxyRouter.getUnreachableMessage()));
+            }
+
+            const result = await next({ ...request, ...ProxyRouter.apply(request.url, request.headers, route) });
+
+            if (result.success || result.aborted || !isRouteFailure(result, route)) {
+                return result;
+            }
+
+            console.warn(`API route ${route.name} is down, switching routes`);
+            const nextRoute = await ProxyRouter.fallback(route);
+
+            if (!nextRoute) {
+                return GraphQL.toFailure(new NetworkError(ProxyRouter.getUnreachableMessage()));
+            }
+
+            return next({ ...request, ...ProxyRouter.apply(request.url, request.headers, nextRoute) });
+        };
+    },
+
+    /**
+     * Answer requests from a resolver instead of the network
+     * The resolver receives the request and returns a GraphQL payload
+     * ({data, errors}), or undefined to let the request through.
+     * @param {Function} resolver - (request) => payload | undefined | Promise
+     * @returns {Function} Middleware
+     */
+    mock(resolver) {
+        return async function mock(request, next) {
+            const payload = await resolver(request);
+
+            if (payload === undefined) {
+                return next(request);
+            }
+
+            return GraphQL.fromPayload(payload);
+        };
+    }
+};
+
+// Freeze the GraphQLMiddleware object to prevent modifications
+Object.freeze(GraphQLMiddleware);
+
+/**
+ * Helper: read the operation name of a query for log output
+ * @param {string} query
+ * @returns {string}
+ */
+function getOperationName(query) {
+    const match = query.match(/^\s*(?:query|mutation|subscription)\s+([A-Za-z_]\w*)/);
+    return match ? match[1] : 'anonymous operation';
+}
+
+/**
+ * Helper: copy a request with the current session's auth headers
+ * @param {object} request - Pipeline request
+ * @returns {object}
+ */
+function withAuthHeaders(request) {
+    return {
+        ...request,
+        headers: {
+            ...request.headers,
+            ...Auth.getAuthHeaders()
+        }
+    };
+}
+
+/**
+ * Helper: whether a failed result means the route itself is down
+ * @param {object} result - Failed query result
+ * @param {object} route - Route the request went through
+ * @returns {boolean}
+ */
+function isRouteFailure(result, route) {
+    if (result.errorType === 'NetworkError') {
+        return true;
+    }
+    return route.type !== 'direct' && ProxyRouter.GATEWAY_STATUSES.includes(result.status);
+}
@@ -0,0 +1,315 @@
+/**
+ * Proxy Router
+ * Chooses how requests reach the Zone01 API: probes the routes in
+ * CONFIG.PROXY_STRATEGIES with a cheap health check, remembers the first
+ * healthy one for the session and falls back to the next when it goes down
+ */
+
+const ProxyRouter = {
+    STORAGE_KEY: 'proxy_route',
+
+    // Proxy answers meaning the proxy is up but cannot reach the API
+    GATEWAY_STATUSES: [502, 504],
+
+    /**
+     * Strategy registry: type -> (endpoint, headers, route) => {url, headers}
+     * Add a type with ProxyRouter.registerStrategy().
+     */
+    strategies: {
+        'direct': (endpoint, headers) => ({ url: endpoint, headers }),
+
+        'path-prefix': (endpoint, headers, route) => {
+            // Keep the API path; the origin goes in a header so the proxy can refuse
+            // to send it to an API other than the one asked for
+            const url = new URL(endpoint);
+            return {
+                url: `${route.prefix || ''}${url.pathname}${url.search}`,
+                headers: { ...headers, 'X-Api-Origin': url.origin }
+            };
+        },
+
+        'query-encoded': (endpoint, headers, route) => ({
+            url: `${route.url}${encodeURIComponent(endpoint)}`,
+            headers
+        }),
+
+        'header-passthrough': (endpoint, headers, route) => {
+            // Proxies that strip credentials read them back from a meta-header
+            const passthrough = {};
+            (route.passthrough || ['Authorization']).forEach(name => {
+                if (headers[name] !== undefined) {
+                    passthrough[name] = headers[name];
+                }
+            });
+
+            return {
+                url: `${route.url}${endpoint}`,
+                headers: { ...headers, [route.metaHeader || 'X-Cors-Headers']: JSON.stringify(passthrough) }
+            };
+        }
+    },
+
+    state: {
+        active: null,
+        probing: null,
+        down: [], // Route names that failed this session
+        status: 'unknown', // 'unknown', 'checking', 'ok' or 'offline'
+        listeners: []
+    },
+
+    /**
+     * Register a strategy type
+     * @param {string} type - Type name used in CONFIG.PROXY_STRATEGIES
+     * @param {Function} apply - (endpoint, headers, route) => {url, headers}
+     */
+    registerStrategy(type, apply) {
+        this.strategies[type] = apply;
+    },
+
+    /**
+     * Routes that apply to this page, in probing order
+     * @returns {Array<object>}
+     */
+    getCandidates() {
+        // A local mock API answers CORS itself
+        if (isLoopbackUrl(CONFIG.API_BASE_URL)) {
+            return [{ name: 'direct', type: 'direct' }];
+        }
+
+        const hostname = window.location.hostname;
+        return CONFIG.PROXY_STRATEGIES.filter(route =>
+            (!route.hosts || route.hosts.includes(hostname))
+            && (!route.thirdParty || CONFIG.PROXY_ALLOW_THIRD_PARTY)
+        );
+    },
+
+    /**
+     * Get the route in use, if one has been chosen
+     * @returns {object|null}
+     */
+    getActive() {
+        if (!this.state.active) {
+            const remembered = sessionStorage.getItem(this.STORAGE_KEY);
+            this.state.active = this.getCandidates().find(route => route.name === remembered) || null;
+        }
+        return this.state.active;
+    },
+
+    /**
+     * Get the route to use, probing the candidates on first use
+     * @returns {Promise<object|null>} Healthy route, or null when none responds
+     */
+    async select() {
+        const active = this.getActive();
+        if (active) {
+            if (this.state.status !== 'ok') {
+                this.setStatus('ok');
+            }
+            return active;
+        }
+
+        if (!this.state.probing) {
+            this.state.probing = this.probeAll().finally(() => {
+                this.state.probing = null;
+            });
+        }
+
+        return this.state.probing;
+    },
+
+    /**
+     * Probe candidates in order and remember the first healthy one
+     * @returns {Promise<object|null>}
+     */
+    async probeAll() {
+        this.setStatus('checking');
+
+        for (const route of this.getCandidates()) {
+            if (this.state.down.includes(route.name)) {
+                continue;
+            }
+
+            if (await this.probe(route)) {
+                this.state.active = route;
+                sessionStorage.setItem(this.STORAGE_KEY, route.name);
+                console.log(`API route: ${route.name}`);
+                this.setStatus('ok');
+                return route;
+            }
+
+            console.warn(`API route ${route.name} failed its health check`);
+            this.state.down.push(route.name);
+        }
+
+        // Let the next request probe every route again
+        this.state.down.length = 0;
+        this.setStatus('offline');
+        return null;
+    },
+
+    /**
+     * Health check: an unauthenticated __typename query
+     * Any 2xx response means the route reaches the API; Hasura answers 200
+     * with an auth error, which is enough.
+     * @param {object} route
+     * @returns {Promise<boolean>}
+     */
+    async probe(route) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.PROXY_HEALTH_TIMEOUT);
+
+        try {
+            const { url, headers } = this.apply(CONFIG.GRAPHQL_ENDPOINT, { 'Content-Type': 'application/json' }, route);
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ query: 'query HealthCheck { __typename }' }),
+                signal: controller.signal
+            });
+            return response.ok;
+        } catch (error) {
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Route a request
+     * @param {string} endpoint - API URL
+     * @param {object} headers - Request headers
+     * @param {object} route - Route to use (defaults to the active one, or direct)
+     * @returns {object} {url, headers}
+     */
+    apply(endpoint, headers = {}, route = this.getActive()) {
+        const target = route || { name: 'direct', type: 'direct' };
+        const strategy = this.strategies[target.type];
+
+        if (!strategy) {
+            throw new Error(`Unknown proxy strategy type: ${target.type}`);
+        }
+
+        const routed = strategy(endpoint, headers, target);
+        return { url: routed.url, headers: { ...routed.headers, ...(target.headers || {}) } };
+    },
+
+    /**
+     * Give up on a route that stopped working and probe the remaining ones
+     * @param {object} failed - Route that failed
+     * @returns {Promise<object|null>} Next healthy route, or null
+     */
+    async fallback(failed) {
+        if (this.state.active && this.state.active.name === failed.name) {
+            this.state.active = null;
+            sessionStorage.removeItem(this.STORAGE_KEY);
+        }
+
+        if (!this.state.down.includes(failed.name)) {
+            this.state.down.push(failed.name);
+        }
+
+        return this.select();
+    },
+
+    /**
+     * fetch() through the active route, switching routes when it is down
+     * @param {string} endpoint - API URL
+     * @param {object} init - fetch options
+     * @returns {Promise<Response>}
+     * @throws {Error} RouteError when no route reaches the API
+     */
+    async fetch(endpoint, init = {}) {
+        let route = await this.select();
+
+        while (route) {
+            const { url, headers } = this.apply(endpoint, init.headers || {}, route);
+
+            try {
+                const response = await fetch(url, { ...init, headers });
+
+                // A proxy that answers but cannot reach the API is as good as down
+                if (route.type === 'direct' || !this.GATEWAY_STATUSES.includes(response.status)) {
+                    return response;
+                }
+                console.warn(`API route ${route.name} answered ${response.status}, trying the next one`);
+            } catch (error) {
+                if (init.signal && init.signal.aborted) {
+                    throw error;
+                }
+                console.warn(`API route ${route.name} failed: ${error.message}`);
+            }
+
+            route = await this.fallback(route);
+        }
+
+        const error = new Error(this.getUnreachableMessage());
+        error.name = 'RouteError';
+        throw error;
+    },
+
+    /**
+     * Message for when every route failed
+     * @returns {string}
+     */
+    getUnreachableMessage() {
+        const tried = this.getCandidates().map(route => route.name).join(', ');
+        return `Could not reach Zone01 (tried: ${tried}). Check your connection and try again.`;
+    },
+
+    /**
+     * Forget failures so the next request probes every route again
+     */
+    reset() {
+        this.state.active = null;
+        this.state.down.length = 0;
+        sessionStorage.removeItem(this.STORAGE_KEY);
+        this.setStatus('unknown');
+    },
+
+    /**
+     * Listen for route changes
+     * @param {Function} listener - (status, route) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.state.listeners.push(listener);
+        return () => {
+            const index = this.state.listeners.indexOf(listener);
+            if (index !== -1) {
+                this.state.listeners.splice(index, 1);
+            }
+        };
+    },
+
+    /**
+     * Update the status and notify listeners
+     * @param {string} status
+     */
+    setStatus(status) {
+        this.state.status = status;
+        this.state.listeners.forEach(listener => listener(status, this.state.active));
+    },
+
+    /**
+     * Show the active route in every .route-status element (login form, profile footer)
+     */
+    renderStatus() {
+        const route = this.state.active;
+        const messages = {
+            unknown: '',
+            checking: 'Checking connection to Zone01...',
+            ok: route ? `Connected via ${route.name}` : '',
+            offline: 'Zone01 is unreachable'
+        };
+
+        document.querySelectorAll('.route-status').forEach(element => {
+            element.textContent = messages[this.state.status];
+            element.className = `route-status ${this.state.status}`;
+        });
+    }
+};
+
+// Freeze the ProxyRouter object to prevent modifications
+Object.freeze(ProxyRouter);
+
+ProxyRouter.onChange(() => ProxyRouter.renderStatus());
@@ -17,187 +17,228 @@ const Queries = {
     /**
      * Get user profile information
      * Used in: profile.html (line 214)
+     * Filtered by ID: roles other than `user` can read every user
+     * @param {number} userId - User ID
+     * @returns {object} {query, variables}
      */
-    getUserProfile: `
-        query {
-            user {
-                id
-                login
-                campus
-                attrs
-                createdAt
-                updatedAt
-            }
-        }
-    `,
+    getUserProfile(userId) {
+        return {
+            query: `
+                query GetUserProfile($userId: Int!) {
+                    user(where: { id: { _eq: $userId } }) {
+                        id
+                        login
+                        campus
+                        attrs
+                        createdAt
+                        updatedAt
+                    }
+                }
+            `,
+            variables: { userId }
+        };
+    },
 
     /**
-     * Get XP transactions (optionally filtered by event)
+     * Get one page of XP transactions (optionally filtered by event)
      * Used in: profile.html (line 293) - XPTimeline graph
+     * Walk every page with GraphQL.paginate()
+     * @param {number} userId - User ID
+     * @param {string|null} eventPath - Path pattern for _like, or null for all events
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {object} {query, variables}
      */
-    getXPTransactions(eventPath = null) {
-        const xpWhere = buildXPWhereClause(eventPath);
-        return `
-            query {
-                transaction(
-                    ${xpWhere}
-                    order_by: { createdAt: asc }
-                ) {
-                    ${XP_TRANSACTION_FIELDS}
+    getXPTransactions(userId, eventPath = null, limit = CONFIG.GRAPHQL_BATCH_SIZE, offset = 0) {
+        return {
+            query: `
+                query GetXPTransactions($userId: Int!, $path: String = "%", $limit: Int!, $offset: Int!) {
+                    transaction(
+                        where: { userId: { _eq: $userId }, type: { _eq: "xp" }, path: { _like: $path } }
+                        order_by: [{ createdAt: asc }, { id: asc }]
+                        limit: $limit
+                        offset: $offset
+                    ) {
+                        ${XP_TRANSACTION_FIELDS}
+                    }
                 }
-            }
-        `;
+            `,
+            variables: { userId, ...buildPathVariables(eventPath), limit, offset }
+        };
     },
 
     /**
      * Get total XP amount (optionally filtered by event)
      * Used in: profile.html (line 251) - Stats cards
+     * @param {number} userId - User ID
+     * @param {string|null} eventPath - Path pattern for _like, or null for all events
+     * @returns {object} {query, variables}
      */
-    getTotalXP(eventPath = null) {
-        const xpWhere = buildXPWhereClause(eventPath);
-        return `
-            query {
-                transaction_aggregate(
-                    ${xpWhere}
-                ) {
-                    aggregate {
-                        sum {
-                            amount
+    getTotalXP(userId, eventPath = null) {
+        return {
+            query: `
+                query GetTotalXP($userId: Int!, $path: String = "%") {
+                    transaction_aggregate(
+                        where: { userId: { _eq: $userId }, type: { _eq: "xp" }, path: { _like: $path } }
+                    ) {
+                        aggregate {
+                            sum {
+                                amount
+                            }
+                            count
                         }
-                        count
                     }
                 }
-            }
-        `;
+            `,
+            variables: { userId, ...buildPathVariables(eventPath) }
+        };
     },
 
     /**
      * Get audit ratio (done vs received)
      * Used in: profile.html (lines 256, 303) - Stats cards & AuditRatio graph
+     * @param {number} userId - User ID
+     * @returns {object} {query, variables}
      */
     getAuditRatio(userId) {
-        return `
-            query {
-                auditorAudits: audit_aggregate(
-                    where: { auditorId: { _eq: ${userId} } }
-                ) {
-                    aggregate {
-                        count
+        return {
+            query: `
+                query GetAuditRatio($userId: Int!) {
+                    auditorAudits: audit_aggregate(
+                        where: { auditorId: { _eq: $userId } }
+                    ) {
+                        aggregate {
+                            count
+                        }
                     }
-                }
-                receivedAudits: audit_aggregate(
-                    where: { 
-                        group: { 
-                            members: { 
-                                userId: { _eq: ${userId} } 
+                    receivedAudits: audit_aggregate(
+                        where: { 
+                            group: { 
+                                members: { 
+                                    userId: { _eq: $userId } 
+                                } 
                             } 
-                        } 
-                    }
-                ) {
-                    aggregate {
-                        count
+                        }
+                    ) {
+                        aggregate {
+                            count
+                        }
                     }
                 }
-            }
-        `;
+            `,
+            variables: { userId }
+        };
     },
 
     /**
      * Get pass/fail statistics (optionally filtered by event)
      * Used in: profile.html (lines 261, 313) - Stats cards & ProjectStats graph
+     * @param {number} userId - User ID
+     * @param {string|null} eventPath - Path pattern for _like, or null for all events
+     * @returns {object} {query, variables}
      */
     getPassFailStats(userId, eventPath = null) {
-        const passedWhere = buildResultWhereClause(userId, 'grade: { _gte: 1 }', eventPath);
-        const failedWhere = buildResultWhereClause(userId, 'grade: { _lt: 1 }', eventPath);
-        return `
-            query {
-                passed: result_aggregate(
-                    ${passedWhere}
-                ) {
-                    aggregate {
-                        count
+        return {
+            query: `
+                query GetPassFailStats($userId: Int!, $path: String = "%") {
+                    passed: result_aggregate(
+                        where: { userId: { _eq: $userId }, grade: { _gte: 1 }, path: { _like: $path } }
+                    ) {
+                        aggregate {
+                            count
+                        }
                     }
-                }
-                failed: result_aggregate(
-                    ${failedWhere}
-                ) {
-                    aggregate {
-                        count
+                    failed: result_aggregate(
+                        where: { userId: { _eq: $userId }, grade: { _lt: 1 }, path: { _like: $path } }
+                    ) {
+                        aggregate {
+                            count
+                        }
                     }
                 }
-            }
-        `;
+            `,
+            variables: { userId, ...buildPathVariables(eventPath) }
+        };
     },
 
-};
+    /**
+     * Get the events (piscines, modules, checkpoints, ...) the user is registered to
+     * Used in: profile.html - Event selector
+     * @param {number} userId - User ID
+     * @returns {object} {query, variables}
+     */
+    getUserEvents(userId) {
+        return {
+            query: `
+                query GetUserEvents($userId: Int!) {
+                    event_user(where: { userId: { _eq: $userId } }) {
+                        event {
+                            id
+                            path
+                            createdAt
+                            endAt
+                            object {
+                                name
+                                type
+                            }
+                        }
+                    }
+                }
+            `,
+            variables: { userId }
+        };
+    },
 
-/**
- * Event path patterns for filtering
- */
-const EventPaths = {
-    ALL: null,                                    // All events (no path filter)
-    PISCINE_GO: '/athens/piscine-go/%',         // Piscine Go
-    PISCINE_JS: '/athens/div-01/piscine-js/%',  // Piscine JS
-    MODULE: '/athens/div-01/%',                  // Div-01 Module (includes piscine-js)
+    /**
+     * Get the first XP transaction of every path the user earned XP on
+     * Used in: profile.html - Event selector, when event_user is unavailable
+     * @param {number} userId - User ID
+     * @returns {object} {query, variables}
+     */
+    getXPPaths(userId) {
+        return {
+            query: `
+                query GetXPPaths($userId: Int!) {
+                    transaction(
+                        where: { userId: { _eq: $userId }, type: { _eq: "xp" } }
+                        distinct_on: path
+                        order_by: [{ path: asc }, { createdAt: asc }]
+                    ) {
+                        path
+                        createdAt
+                    }
+                }
+            `,
+            variables: { userId }
+        };
+    }
 };
 
 /**
  * Helper to get queries for a specific event
- * @param {string} eventType - 'all', 'piscine-go', 'piscine-js', 'module'
- * @param {number} userId - User ID for queries that need it
- * @returns {object} Object with all queries for that event
+ * Every query is filtered by user, so elevated Hasura roles still see one profile
+ * @param {string|null} eventPath - Path pattern from Events (e.g. '/athens/piscine-go/%'), or null for all events
+ * @param {number} userId - User ID
+ * @returns {object} Object with {query, variables} pairs for that event
  */
-const getEventQueries = (eventType, userId = null) => {
-    const pathMap = {
-        'all': EventPaths.ALL,
-        'piscine-go': EventPaths.PISCINE_GO,
-        'piscine-js': EventPaths.PISCINE_JS,
-        'module': EventPaths.MODULE
-    };
-
-    const eventPath = Object.prototype.hasOwnProperty.call(pathMap, eventType)
-        ? pathMap[eventType]
-        : EventPaths.ALL;
-
+const getEventQueries = (eventPath, userId) => {
     return {
-        xpTransactions: Queries.getXPTransactions(eventPath),
-        totalXP: Queries.getTotalXP(eventPath),
-        passFailStats: userId ? Queries.getPassFailStats(userId, eventPath) : null,
-        auditRatio: userId ? Queries.getAuditRatio(userId) : null
+        xpTransactions: Queries.getXPTransactions(userId, eventPath),
+        totalXP: Queries.getTotalXP(userId, eventPath),
+        passFailStats: Queries.getPassFailStats(userId, eventPath),
+        auditRatio: Queries.getAuditRatio(userId)
     };
 };
 
 // Freeze the Queries object to prevent modifications
 Object.freeze(Queries);
-Object.freeze(EventPaths);
 
 /**
- * Helper: build XP transaction where clause with optional path filter
+ * Helper: build the $path variable for an optional event path filter
+ * Omitted when there is no filter so the query's "%" default matches every path
  * @param {string|null} eventPath
- * @returns {string}
+ * @returns {object}
  */
-function buildXPWhereClause(eventPath) {
-    const filters = ['type: { _eq: "xp" }'];
-    if (eventPath) {
-        filters.push(`path: { _like: "${eventPath}" }`);
-    }
-    return `where: { ${filters.join(', ')} }`;
-}
-
-/**
- * Helper: build result aggregate where clause with optional path filter
- * @param {number} userId
- * @param {string} gradeFilter
- * @param {string|null} eventPath
- * @returns {string}
- */
-function buildResultWhereClause(userId, gradeFilter, eventPath) {
-    const filters = [
-        `userId: { _eq: ${userId} }`,
-        gradeFilter
-    ];
-    if (eventPath) {
-        filters.push(`path: { _like: "${eventPath}" }`);
-    }
-    return `where: { ${filters.join(', ')} }`;
+function buildPathVariables(eventPath) {
+    return eventPath ? { path: eventPath } : {};
 }
@@ -0,0 +1,311 @@
+/**
+ * Query Builder
+ * Serializes JavaScript values to GraphQL input syntax and builds
+ * Hasura-style queries (where, order_by, limit, offset, distinct_on)
+ */
+
+const QueryBuilder = {
+    /**
+     * Hasura order_by directions, emitted as enums rather than strings
+     */
+    ORDER_DIRECTIONS: [
+        'asc', 'asc_nulls_first', 'asc_nulls_last',
+        'desc', 'desc_nulls_first', 'desc_nulls_last'
+    ],
+
+    /**
+     * Aggregate functions that take a field list
+     */
+    AGGREGATE_FUNCTIONS: ['sum', 'avg', 'max', 'min', 'stddev', 'variance'],
+
+    /**
+     * Mark a value as an enum so it is written without quotes
+     * @param {string} value - Enum value, e.g. 'asc' or a column name
+     * @returns {object} Enum marker
+     */
+    enumValue(value) {
+        return Object.freeze({ kind: 'enum', value: assertName(value, 'enum value') });
+    },
+
+    /**
+     * Reference a query variable
+     * Declare it in the builder's variableDefinitions, e.g. {id: 'Int!'}.
+     * @param {string} name - Variable name without the $
+     * @returns {object} Variable marker
+     */
+    variable(name) {
+        return Object.freeze({ kind: 'variable', value: assertName(name, 'variable name') });
+    },
+
+    /**
+     * Serialize a value to GraphQL input syntax
+     * Keys are written unquoted, strings are escaped, and enum/variable markers
+     * are written as-is. Nested _and/_or/_not and relationship filters are
+     * plain nested objects and arrays.
+     * @param {*} value - Value to serialize
+     * @param {boolean} stringsAsEnums - Write bare strings as enums (order_by, distinct_on)
+     * @returns {string} GraphQL input value
+     */
+    serialize(value, stringsAsEnums = false) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+
+        if (isMarker(value)) {
+            return value.kind === 'variable' ? `$${value.value}` : value.value;
+        }
+
+        if (typeof value === 'string') {
+            return stringsAsEnums ? assertName(value, 'enum value') : JSON.stringify(value);
+        }
+
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                throw new Error(`Cannot serialize non-finite number: ${value}`);
+            }
+            return String(value);
+        }
+
+        if (typeof value === 'boolean') {
+            return String(value);
+        }
+
+        if (value instanceof Date) {
+            return JSON.stringify(value.toISOString());
+        }
+
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.serialize(item, stringsAsEnums)).join(', ')}]`;
+        }
+
+        if (typeof value === 'object') {
+            const fields = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .map(key => `${assertName(key, 'field name')}: ${this.serialize(value[key], stringsAsEnums)}`);
+            return `{ ${fields.join(', ')} }`;
+        }
+
+        throw new Error(`Cannot serialize value of type ${typeof value}`);
+    },
+
+    /**
+     * Serialize an order_by value; direction strings become enums
+     * @param {object|Array<object>} orderBy - e.g. {createdAt: 'desc'} or [{createdAt: 'asc'}, {id: 'asc'}]
+     * @returns {string} GraphQL input value
+     */
+    serializeOrderBy(orderBy) {
+        const check = value => {
+            if (typeof value === 'string' && !this.ORDER_DIRECTIONS.includes(value)) {
+                throw new Error(`Invalid order_by direction: ${value}`);
+            }
+            if (value && typeof value === 'object' && !isMarker(value)) {
+                Object.values(value).forEach(check);
+            }
+        };
+        check(orderBy);
+
+        return this.serialize(orderBy, true);
+    },
+
+    /**
+     * Build the argument list for a table field
+     * @param {object} args - {where, orderBy, limit, offset, distinctOn}
+     * @returns {string} "(where: ..., limit: ...)" or an empty string
+     */
+    buildArguments(args = {}) {
+        const params = [];
+
+        if (args.distinctOn !== undefined && args.distinctOn !== null) {
+            // distinct_on takes column enums
+            params.push(`distinct_on: ${this.serialize(args.distinctOn, true)}`);
+        }
+
+        if (args.where && Object.keys(args.where).length > 0) {
+            params.push(`where: ${this.serialize(args.where)}`);
+        }
+
+        if (args.orderBy && (Array.isArray(args.orderBy) || isMarker(args.orderBy) || Object.keys(args.orderBy).length > 0)) {
+            params.push(`order_by: ${this.serializeOrderBy(args.orderBy)}`);
+        }
+
+        if (args.limit !== undefined && args.limit !== null) {
+            params.push(`limit: ${this.serialize(args.limit)}`);
+        }
+
+        if (args.offset !== undefined && args.offset !== null) {
+            params.push(`offset: ${this.serialize(args.offset)}`);
+        }
+
+        return params.length > 0 ? `(${params.join(', ')})` : '';
+    },
+
+    /**
+     * Build a selection set from a field list
+     * Strings are scalar fields; objects select relationships, e.g.
+     * ['amount', {object: ['name', 'type']}]
+     * @param {Array<string|object>} fields - Fields to select
+     * @param {string} indent - Indentation of the current level
+     * @returns {string} Selection set including braces
+     */
+    buildSelection(fields, indent = '') {
+        const inner = `${indent}    `;
+        const lines = [];
+
+        fields.forEach(field => {
+            if (typeof field === 'string') {
+                lines.push(`${inner}${assertName(field, 'field name')}`);
+                return;
+            }
+
+            Object.entries(field).forEach(([name, subFields]) => {
+                lines.push(`${inner}${assertName(name, 'field name')} ${this.buildSelection(subFields, inner)}`);
+            });
+        });
+
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    },
+
+    /**
+     * Build an aggregate selection
+     * Accepts ['count', {sum: ['amount']}] or {count: true, sum: ['amount'], max: ['createdAt']}
+     * @param {Array|object} aggregates - Aggregate functions and their fields
+     * @param {string} indent - Indentation of the aggregate block
+     * @returns {string} Selection set for `aggregate`
+     */
+    buildAggregateSelection(aggregates, indent = '') {
+        const entries = Array.isArray(aggregates)
+            ? aggregates.flatMap(agg => (typeof agg === 'string' ? [[agg, true]] : Object.entries(agg)))
+            : Object.entries(aggregates);
+
+        const fields = entries.map(([name, value]) => {
+            if (name === 'count') {
+                return 'count';
+            }
+
+            if (!this.AGGREGATE_FUNCTIONS.includes(name)) {
+                throw new Error(`Unknown aggregate function: ${name}`);
+            }
+
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Error(`Aggregate "${name}" needs a list of fields`);
+            }
+
+            return { [name]: value };
+        });
+
+        return this.buildSelection(fields, indent);
+    },
+
+    /**
+     * Build the operation header, declaring the variables the arguments use
+     * @param {string} operationName - Operation name (optional)
+     * @param {object} variableDefinitions - Variable name -> GraphQL type, e.g. {id: 'Int!'}
+     * @param {object} args - Arguments of the query, checked for undeclared variables
+     * @returns {string} e.g. "query GetUser($id: Int!)"
+     */
+    buildOperationHeader(operationName = null, variableDefinitions = null, args = {}) {
+        const definitions = variableDefinitions || {};
+
+        collectVariableNames(args).forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+                throw new Error(`Variable $${name} is used but not declared in variableDefinitions`);
+            }
+        });
+
+        const declared = Object.entries(definitions)
+            .map(([name, type]) => `$${assertName(name, 'variable name')}: ${assertTypeName(type)}`);
+
+        const name = operationName ? ` ${assertName(operationName, 'operation name')}` : '';
+        const list = declared.length > 0 ? `(${declared.join(', ')})` : '';
+        return `query${name}${list}`;
+    },
+
+    /**
+     * Build a complete query for one table
+     * @param {string} table - Table name
+     * @param {Array<string|object>} fields - Fields to select
+     * @param {object} args - {where, orderBy, limit, offset, distinctOn}
+     * @param {string} operationName - Operation name (optional)
+     * @param {object} variableDefinitions - Variables used through variable(), e.g. {id: 'Int!'}
+     * @returns {string} GraphQL query string
+     */
+    buildTableQuery(table, fields, args = {}, operationName = null, variableDefinitions = null) {
+        const header = this.buildOperationHeader(operationName, variableDefinitions, args);
+        return `${header} {\n    ${assertName(table, 'table name')}${this.buildArguments(args)} ${this.buildSelection(fields, '    ')}\n}`;
+    },
+
+    /**
+     * Build a <table>_aggregate query
+     * @param {string} table - Table name, without the _aggregate suffix
+     * @param {object} where - Where conditions
+     * @param {Array|object} aggregates - See buildAggregateSelection()
+     * @param {string} operationName - Operation name (optional)
+     * @param {object} variableDefinitions - Variables used through variable(), e.g. {id: 'Int!'}
+     * @returns {string} GraphQL query string
+     */
+    buildAggregateQuery(table, where = {}, aggregates = ['count'], operationName = null, variableDefinitions = null) {
+        const header = this.buildOperationHeader(operationName, variableDefinitions, { where });
+        const selection = this.buildAggregateSelection(aggregates, '        ');
+        return `${header} {\n    ${assertName(table, 'table name')}_aggregate${this.buildArguments({ where })} {\n        aggregate ${selection}\n    }\n}`;
+    }
+};
+
+// Freeze the QueryBuilder object to prevent modifications
+Object.freeze(QueryBuilder);
+
+/**
+ * Helper: check for an enum or variable marker
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMarker(value) {
+    return !!value && typeof value === 'object' && (value.kind === 'enum' || value.kind === 'variable')
+        && Object.keys(value).length === 2 && typeof value.value === 'string';
+}
+
+/**
+ * Helper: list the variables referenced anywhere in a value
+ * @param {*} value - Query arguments
+ * @param {Set<string>} names - Names found so far
+ * @returns {Set<string>}
+ */
+function collectVariableNames(value, names = new Set()) {
+    if (isMarker(value)) {
+        if (value.kind === 'variable') {
+            names.add(value.value);
+        }
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        Object.values(value).forEach(item => collectVariableNames(item, names));
+    }
+    return names;
+}
+
+/**
+ * Helper: make sure a string is a GraphQL type, e.g. 'Int!', '[String!]' or 'timestamptz'
+ * @param {string} type
+ * @returns {string} The type
+ */
+function assertTypeName(type) {
+    const named = typeof type === 'string' ? type.replace(/!$/, '') : '';
+    const inner = /^\[.+\]$/.test(named) ? named.slice(1, -1) : null;
+
+    if (inner !== null) {
+        assertTypeName(inner);
+    } else {
+        assertName(named, 'variable type');
+    }
+    return type;
+}
+
+/**
+ * Helper: make sure a string is a valid GraphQL name
+ * @param {string} name
+ * @param {string} label - What the name is, for the error message
+ * @returns {string} The name
+ */
+function assertName(name, label) {
+    if (typeof name !== 'string' || !/^[_A-Za-z][_0-9A-Za-z]*$/.test(name)) {
+        throw new Error(`Invalid GraphQL ${label}: ${name}`);
+    }
+    return name;
+}
@@ -0,0 +1,222 @@
+/**
+ * Query Cache
+ * Caches GraphQL responses keyed on query text plus variables,
+ * with optional IndexedDB persistence across page reloads
+ */
+
+const QueryCache = {
+    /**
+     * In-memory cache entries keyed by cache key
+     */
+    entries: new Map(),
+
+    /**
+     * Mutable module state (the object itself is frozen)
+     */
+    state: {
+        dbPromise: null
+    },
+
+    /**
+     * Build a cache key for a query
+     * Keys are scoped to the current user and Hasura role so accounts and
+     * roles never share entries
+     * @param {string} query - GraphQL query string
+     * @param {object} variables - Query variables
+     * @returns {string} Cache key
+     */
+    key(query, variables = {}) {
+        const role = Storage.getRole();
+        const scope = `${Storage.getUserId() || 'anonymous'}${role ? `:${role}` : ''}`;
+        const normalizedQuery = query.replace(/\s+/g, ' ').trim();
+        return `${scope}|${normalizedQuery}|${stableStringify(variables || {})}`;
+    },
+
+    /**
+     * Get a cache entry, falling back to IndexedDB for persisted queries
+     * @param {string} key - Cache key
+     * @param {boolean} persist - Whether the entry is stored with persist (see set)
+     * @returns {Promise<object|null>} Entry {data, storedAt, ttl} or null
+     */
+    async get(key, persist = CONFIG.QUERY_CACHE.PERSIST) {
+        if (this.entries.has(key)) {
+            return this.entries.get(key);
+        }
+
+        if (!persist) {
+            return null;
+        }
+
+        try {
+            const entry = await this.readPersisted(key);
+            if (entry) {
+                this.entries.set(key, entry);
+            }
+            return entry;
+        } catch (error) {
+            console.warn('Could not read persisted cache entry:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store data in the cache
+     * @param {string} key - Cache key
+     * @param {object} data - Query result data
+     * @param {number} ttl - Time in milliseconds the entry stays fresh
+     * @param {boolean} persist - Also write the entry to IndexedDB
+     */
+    set(key, data, ttl = CONFIG.QUERY_CACHE.DEFAULT_TTL, persist = CONFIG.QUERY_CACHE.PERSIST) {
+        const entry = {
+            key,
+            data,
+            ttl,
+            storedAt: Date.now()
+        };
+
+        this.entries.set(key, entry);
+
+        if (persist) {
+            this.writePersisted(entry).catch(error => {
+                console.warn('Could not persist cache entry:', error);
+            });
+        }
+    },
+
+    /**
+     * Get the freshness status of an entry
+     * @param {object|null} entry - Cache entry
+     * @returns {string} 'fresh', 'stale' (servable while revalidating) or 'expired'
+     */
+    getStatus(entry) {
+        if (!entry) {
+            return 'expired';
+        }
+
+        const age = Date.now() - entry.storedAt;
+
+        if (age < entry.ttl) {
+            return 'fresh';
+        }
+
+        if (age < entry.ttl + CONFIG.QUERY_CACHE.STALE_TTL) {
+            return 'stale';
+        }
+
+        return 'expired';
+    },
+
+    /**
+     * Clear every cache entry, in memory and in IndexedDB
+     * @returns {Promise} Resolves once persisted entries are removed
+     */
+    async clear() {
+        this.entries.clear();
+
+        if (!window.indexedDB) {
+            return;
+        }
+
+        try {
+            const db = await this.openDatabase();
+            await runTransaction(db, 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Could not clear persisted cache:', error);
+        }
+    },
+
+    /**
+     * Open (or create) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    openDatabase() {
+        if (this.state.dbPromise) {
+            return this.state.dbPromise;
+        }
+
+        this.state.dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(CONFIG.QUERY_CACHE.DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CONFIG.QUERY_CACHE.STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry if opening failed
+        this.state.dbPromise.catch(() => {
+            this.state.dbPromise = null;
+        });
+
+        return this.state.dbPromise;
+    },
+
+    /**
+     * Read a persisted entry
+     * @param {string} key - Cache key
+     * @returns {Promise<object|null>} Entry or null
+     */
+    async readPersisted(key) {
+        if (!window.indexedDB) {
+            return null;
+        }
+
+        const db = await this.openDatabase();
+        const entry = await runTransaction(db, 'readonly', store => store.get(key));
+        return entry || null;
+    },
+
+    /**
+     * Write an entry to IndexedDB
+     * @param {object} entry - Cache entry
+     * @returns {Promise}
+     */
+    async writePersisted(entry) {
+        if (!window.indexedDB) {
+            return;
+        }
+
+        const db = await this.openDatabase();
+        await runTransaction(db, 'readwrite', store => store.put(entry));
+    }
+};
+
+// Freeze the QueryCache object to prevent modifications
+Object.freeze(QueryCache);
+
+/**
+ * Helper: run a single request against the cache object store
+ * @param {IDBDatabase} db
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function runTransaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CONFIG.QUERY_CACHE.STORE_NAME, mode);
+        const request = operation(transaction.objectStore(CONFIG.QUERY_CACHE.STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Helper: JSON.stringify with sorted object keys so equal variables share a key
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
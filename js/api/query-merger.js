@@ -0,0 +1,341 @@
+/**
+ * Query Merger
+ * Combines several root-level GraphQL queries into one aliased document
+ * and splits the combined response back into per-query results
+ */
+
+const QueryMerger = {
+    /**
+     * Merge queries into a single document
+     * Every root field is aliased with a per-query prefix (q0_, q1_, ...) and
+     * every variable is renamed the same way so queries cannot collide.
+     * @param {Array<object>} queries - Array of query objects {query, variables}
+     * @returns {object|null} Plan {query, variables, parts} or null if a query cannot be merged
+     */
+    merge(queries) {
+        const definitions = [];
+        const selections = [];
+        const variables = {};
+        const parts = [];
+
+        for (let i = 0; i < queries.length; i++) {
+            const prefix = `q${i}_`;
+            const operation = parseOperation(renameVariables(queries[i].query, prefix));
+
+            if (!operation) {
+                return null;
+            }
+
+            if (operation.variableDefinitions) {
+                definitions.push(operation.variableDefinitions);
+            }
+
+            Object.entries(queries[i].variables || {}).forEach(([name, value]) => {
+                variables[`${prefix}${name}`] = value;
+            });
+
+            const aliases = {};
+            operation.fields.forEach(field => {
+                const responseKey = field.alias || field.name;
+                aliases[`${prefix}${responseKey}`] = responseKey;
+                selections.push(`${prefix}${responseKey}: ${field.name}${field.rest}`);
+            });
+
+            parts.push({ prefix, aliases });
+        }
+
+        const header = definitions.length > 0
+            ? `query BatchedQuery(${definitions.join(', ')})`
+            : 'query BatchedQuery';
+
+        return {
+            query: `${header} {\n    ${selections.join('\n    ')}\n}`,
+            variables,
+            parts
+        };
+    },
+
+    /**
+     * Split a merged response into per-query results
+     * Errors are assigned to the query whose prefixed field appears in their path;
+     * errors without a path apply to every query when the response has data.
+     * A response without data means the server rejected the whole document
+     * and ran none of it: queries no error names come back as
+     * {success: false, unanswered: true} so they can be sent on their own.
+     * @param {object} plan - Plan returned by merge()
+     * @param {object} response - {data, errors} from the merged request
+     * @returns {Array<object>} Results in the same order as the merged queries
+     */
+    split(plan, response) {
+        const data = response.data;
+        const errors = response.errors || [];
+
+        return plan.parts.map(part => {
+            const partErrors = errors.filter(error => {
+                const root = getErrorRoot(error);
+                return root ? root.startsWith(part.prefix) : Boolean(data);
+            });
+
+            // Rejected along with a query that failed; this one never ran
+            if (!data && partErrors.length === 0) {
+                return {
+                    success: false,
+                    unanswered: true,
+                    error: 'GraphQL query not run',
+                    errors: []
+                };
+            }
+
+            if (partErrors.length > 0) {
+                return {
+                    success: false,
+                    error: partErrors[0].message || 'GraphQL query failed',
+                    errors: partErrors
+                };
+            }
+
+            const partData = {};
+            Object.entries(part.aliases).forEach(([prefixed, original]) => {
+                partData[original] = data[prefixed];
+            });
+
+            return {
+                success: true,
+                data: partData
+            };
+        });
+    }
+};
+
+// Freeze the QueryMerger object to prevent modifications
+Object.freeze(QueryMerger);
+
+/**
+ * Helper: get the root response key an error points at
+ * Reads the standard `path` array or Hasura's `extensions.path` ("$.selectionSet.<field>...")
+ * @param {object} error
+ * @returns {string|null}
+ */
+function getErrorRoot(error) {
+    if (Array.isArray(error.path) && error.path.length > 0) {
+        return String(error.path[0]);
+    }
+
+    const extensionPath = error.extensions && error.extensions.path;
+    if (typeof extensionPath === 'string') {
+        const match = extensionPath.match(/^\$\.selectionSet\.([A-Za-z_]\w*)/);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper: prefix every $variable outside of string literals
+ * @param {string} query
+ * @param {string} prefix
+ * @returns {string}
+ */
+function renameVariables(query, prefix) {
+    let output = '';
+    let i = 0;
+
+    while (i < query.length) {
+        const char = query[i];
+
+        if (char === '"') {
+            const end = skipString(query, i);
+            output += query.slice(i, end);
+            i = end;
+        } else if (char === '#') {
+            // Drop comments so they cannot swallow merged selections
+            while (i < query.length && query[i] !== '\n') {
+                i++;
+            }
+        } else if (char === '$') {
+            output += `$${prefix}`;
+            i++;
+        } else {
+            output += char;
+            i++;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Helper: parse a single anonymous or named query operation
+ * Returns null for anything that cannot be safely merged
+ * (mutations, subscriptions, fragments, directives, multiple operations).
+ * @param {string} query
+ * @returns {object|null} {variableDefinitions, fields: [{alias, name, rest}]}
+ */
+function parseOperation(query) {
+    const source = query.trim();
+    let pos = 0;
+    let variableDefinitions = '';
+
+    if (source[pos] !== '{') {
+        const header = source.match(/^query\b\s*([A-Za-z_]\w*)?\s*/);
+        if (!header) {
+            return null;
+        }
+        pos = header[0].length;
+
+        if (source[pos] === '(') {
+            const end = skipBalanced(source, pos, '(', ')');
+            if (end < 0) {
+                return null;
+            }
+            variableDefinitions = source.slice(pos + 1, end - 1).trim();
+            pos = skipWhitespace(source, end);
+        }
+
+        if (source[pos] !== '{') {
+            return null;
+        }
+    }
+
+    const bodyEnd = skipBalanced(source, pos, '{', '}');
+    if (bodyEnd < 0 || source.slice(bodyEnd).trim() !== '') {
+        return null;
+    }
+
+    const fields = parseSelections(source.slice(pos + 1, bodyEnd - 1));
+    if (!fields || fields.length === 0) {
+        return null;
+    }
+
+    return { variableDefinitions, fields };
+}
+
+/**
+ * Helper: split a selection set body into root fields
+ * @param {string} body
+ * @returns {Array<object>|null}
+ */
+function parseSelections(body) {
+    const fields = [];
+    let pos = skipWhitespace(body, 0);
+
+    while (pos < body.length) {
+        let name = readName(body, pos);
+        if (!name) {
+            return null;
+        }
+        pos = skipWhitespace(body, pos + name.length);
+
+        let alias = null;
+        if (body[pos] === ':') {
+            alias = name;
+            pos = skipWhitespace(body, pos + 1);
+            name = readName(body, pos);
+            if (!name) {
+                return null;
+            }
+            pos = skipWhitespace(body, pos + name.length);
+        }
+
+        const restStart = pos;
+
+        if (body[pos] === '(') {
+            pos = skipBalanced(body, pos, '(', ')');
+            if (pos < 0) {
+                return null;
+            }
+            pos = skipWhitespace(body, pos);
+        }
+
+        if (body[pos] === '@') {
+            return null;
+        }
+
+        if (body[pos] === '{') {
+            pos = skipBalanced(body, pos, '{', '}');
+            if (pos < 0) {
+                return null;
+            }
+        }
+
+        const rest = body.slice(restStart, pos).trim();
+        fields.push({ alias, name, rest: rest ? ` ${rest}` : '' });
+        pos = skipWhitespace(body, pos);
+    }
+
+    return fields;
+}
+
+/**
+ * Helper: read a GraphQL name at a position (fragment spreads are rejected)
+ * @param {string} text
+ * @param {number} pos
+ * @returns {string|null}
+ */
+function readName(text, pos) {
+    const match = text.slice(pos).match(/^[A-Za-z_]\w*/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Helper: skip whitespace and commas
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number} Next significant position
+ */
+function skipWhitespace(text, pos) {
+    while (pos < text.length && /[\s,]/.test(text[pos])) {
+        pos++;
+    }
+    return pos;
+}
+
+/**
+ * Helper: skip a string literal starting at pos
+ * @param {string} text
+ * @param {number} pos - Position of the opening quote
+ * @returns {number} Position after the closing quote
+ */
+function skipString(text, pos) {
+    let i = pos + 1;
+    while (i < text.length && text[i] !== '"') {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+/**
+ * Helper: skip a balanced bracket group starting at pos
+ * @param {string} text
+ * @param {number} pos - Position of the opening bracket
+ * @param {string} open
+ * @param {string} close
+ * @returns {number} Position after the closing bracket, or -1 if unbalanced
+ */
+function skipBalanced(text, pos, open, close) {
+    let depth = 0;
+    let i = pos;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '"') {
+            i = skipString(text, i);
+            continue;
+        }
+
+        if (char === open) {
+            depth++;
+        } else if (char === close) {
+            depth--;
+            if (depth === 0) {
+                return i + 1;
+            }
+        }
+        i++;
+    }
+
+    return -1;
+}
@@ -4,46 +4,82 @@
  */
 
 const Auth = {
+    state: {
+        expiryCheckInterval: null,
+        renewalHandler: null, // Set by pages that can sign in again in place
+        renewal: null // Pending renewal, shared by every caller
+    },
+
     /**
      * Login with credentials
      * @param {string} identifier - Username or email
      * @param {string} password - User password
-     * @returns {Promise<object>} Response object with success status and data/error
+     * @returns {Promise<object>} Response object with success status and data/error;
+     *     failures may add retryAfter (ms to wait) or locked (account refused)
      */
     async login(identifier, password) {
+        // Offline fixture mode signs in the demo user without touching the network
+        if (typeof Fixtures !== 'undefined' && Fixtures.isEnabled()) {
+            const demoToken = Fixtures.createDemoToken(identifier, password);
+
+            if (!demoToken) {
+                return {
+                    success: false,
+                    error: `Demo mode: sign in as "${CONFIG.FIXTURES.DEMO_LOGIN}" with password "${CONFIG.FIXTURES.DEMO_PASSWORD}".`
+                };
+            }
+
+            return this.startSession(demoToken, identifier);
+        }
+
+        // Repeated failures wait before reaching the signin endpoint again
+        const wait = LoginThrottle.getWait(identifier);
+        if (wait > 0) {
+            return {
+                success: false,
+                error: `Too many sign-in attempts. Try again in ${DateUtils.formatCountdown(Math.ceil(wait / 1000))}.`,
+                retryAfter: wait
+            };
+        }
+
         try {
             // Create Basic Auth credentials
             const credentials = btoa(`${identifier}:${password}`);
             
-            // Make POST request to signin endpoint (with CORS proxy if enabled)
-            const headers = {
-                'Authorization': `Basic ${credentials}`,
-                'Content-Type': 'application/json',
-                ...CONFIG.getProxyHeaders()
-            };
-
-            // Some proxies require passing original headers through a meta-header
-            if (CONFIG.USE_CORS_PROXY && CONFIG.CORS_PROXY_HEADERS && CONFIG.CORS_PROXY_HEADERS['X-Cors-Headers']) {
-                headers['X-Cors-Headers'] = CONFIG.CORS_PROXY_HEADERS['X-Cors-Headers'];
-            }
-
-            const response = await fetch(CONFIG.getSigninEndpoint(), {
+            // Make POST request to signin endpoint through the active proxy route
+            const response = await ProxyRouter.fetch(CONFIG.SIGNIN_ENDPOINT, {
                 method: 'POST',
-                headers
+                headers: {
+                    'Authorization': `Basic ${credentials}`,
+                    'Content-Type': 'application/json'
+                }
             });
 
             // Check if response is ok
             if (!response.ok) {
                 // Handle different error status codes
                 if (response.status === 401) {
+                    const cooldown = LoginThrottle.recordFailure(identifier);
                     return {
                         success: false,
-                        error: 'Invalid credentials. Please check your username/email and password.'
+                        error: cooldown > 0
+                            ? 'Invalid credentials. Too many failed attempts, please wait before trying again.'
+                            : 'Invalid credentials. Please check your username/email and password.',
+                        retryAfter: cooldown
                     };
                 } else if (response.status === 403) {
+                    // Right credentials, but the platform refuses the account
+                    return {
+                        success: false,
+                        error: 'This account appears to be locked or suspended. Contact Zone01 staff to restore access.',
+                        locked: true
+                    };
+                } else if (response.status === 429) {
+                    const cooldown = LoginThrottle.recordRateLimit(identifier, parseRetryAfter(response.headers.get('Retry-After')));
                     return {
                         success: false,
-                        error: 'Access forbidden. Your account may be suspended.'
+                        error: 'Too many sign-in attempts. The server asked to wait before trying again.',
+                        retryAfter: cooldown
                     };
                 } else if (response.status === 500) {
                     return {
@@ -95,64 +131,100 @@ const Auth = {
                 };
             }
 
-            // Validate the token
-            if (!JWT.isValid(token)) {
-                return {
-                    success: false,
-                    error: 'Received invalid token from server.'
-                };
-            }
+            LoginThrottle.recordSuccess(identifier);
+            return this.startSession(token, identifier);
 
-            // Extract user information from token
-            const userId = JWT.getUserId(token);
-            const username = JWT.getUsername(token) || identifier;
-
-            if (!userId) {
-                return {
-                    success: false,
-                    error: 'Could not extract user ID from token.'
-                };
-            }
-
-            // Save to cookies
-            Storage.saveToken(token);
-            Storage.saveUserId(userId);
-            Storage.saveUsername(username);
-
-            // Start token expiry monitoring
-            this.startTokenExpiryCheck();
+        } catch (error) {
+            console.error('Login error:', error);
+            return {
+                success: false,
+                error: error.name === 'RouteError'
+                    ? error.message
+                    : 'Network error. Please check your connection and try again.'
+            };
+        }
+    },
 
+    /**
+     * Validate a token and store the session it belongs to
+     * @param {string} token - JWT token
+     * @param {string} identifier - Username or email used to sign in
+     * @returns {object} Response object with success status and data/error
+     */
+    startSession(token, identifier) {
+        // Validate the token
+        if (!JWT.isValid(token)) {
             return {
-                success: true,
-                data: {
-                    token,
-                    userId,
-                    username
-                }
+                success: false,
+                error: 'Received invalid token from server.'
             };
+        }
 
-        } catch (error) {
-            console.error('Login error:', error);
+        // Extract user information from token
+        const userId = JWT.getUserId(token);
+        const username = JWT.getUsername(token) || identifier;
+
+        if (!userId) {
             return {
                 success: false,
-                error: 'Network error. Please check your connection and try again.'
+                error: 'Could not extract user ID from token.'
             };
         }
+
+        // Save the session; a role picked in an earlier session does not carry over
+        Storage.saveToken(token);
+        Storage.saveUserId(userId);
+        Storage.saveUsername(username);
+        Storage.removeRole();
+
+        // Remember the account for the account switcher
+        Storage.saveAccount(userId, { token, username, role: null });
+
+        // Start token expiry monitoring
+        this.startTokenExpiryCheck();
+
+        // Other tabs switch to this session
+        SessionSync.publish('login');
+
+        return {
+            success: true,
+            data: {
+                token,
+                userId,
+                username
+            }
+        };
     },
 
     /**
      * Logout current user
-     * Clears all stored authentication data
+     * Clears all stored authentication data; other saved accounts stay signed in
      */
     logout() {
         // Stop token expiry monitoring
         this.stopTokenExpiryCheck();
+
+        // Forget this account in the account switcher
+        const userId = Storage.getUserId();
+        if (userId) {
+            Storage.removeAccount(userId);
+        }
         
         // Clear all stored data
         Storage.clear();
-        
-        // Redirect to login page
-        window.location.href = 'login.html';
+
+        // Log out the other tabs too
+        SessionSync.publish('logout');
+
+        // Drop cached query responses (only loaded on pages that query the API)
+        const cacheCleared = typeof QueryCache !== 'undefined'
+            ? QueryCache.clear()
+            : Promise.resolve();
+
+        // Start the app again on the login route once the cache is gone
+        cacheCleared.finally(() => {
+            Router.reload('/login');
+        });
     },
 
     /**
@@ -193,50 +265,53 @@ const Auth = {
     },
 
     /**
-     * Require authentication - redirect to login if not authenticated
-     * Call this on protected pages
+     * Route guard for routes that need a session
+     * @param {object} match - Route being entered, from Router.match()
+     * @returns {boolean|string} True to enter, else the login route
      */
-    requireAuth() {
-        if (!this.isAuthenticated()) {
-            // Save current page to redirect back after login
-            sessionStorage.setItem('redirect_after_login', window.location.pathname);
-            window.location.href = 'login.html';
+    requireAuth(match) {
+        if (this.isAuthenticated()) {
+            return true;
         }
+
+        // Save the route and its query to come back after login
+        ReturnTo.save(match.path);
+        return '/login';
     },
 
     /**
-     * Redirect to profile if already authenticated
-     * Call this on login page
+     * Route guard for the login route
+     * @param {object} match - Route being entered, from Router.match()
+     * @returns {boolean|string} True to enter, else the saved route (or profile)
      */
-    redirectIfAuthenticated() {
-        if (this.isAuthenticated()) {
-            // Check if there's a redirect URL saved
-            const redirectUrl = sessionStorage.getItem('redirect_after_login');
-            sessionStorage.removeItem('redirect_after_login');
-            
-            window.location.href = redirectUrl || 'profile.html';
-        }
+    redirectIfAuthenticated(match) {
+        return this.isAuthenticated() ? ReturnTo.consume(match) : true;
     },
 
     /**
      * Start monitoring token expiry
-     * Automatically logout when token expires
+     * Automatically logout when token expires, unless the page can renew the session
      */
     startTokenExpiryCheck() {
         // Clear any existing interval
         this.stopTokenExpiryCheck();
 
         // Check token expiry periodically
-        this.expiryCheckInterval = setInterval(() => {
+        this.state.expiryCheckInterval = setInterval(() => {
             const token = Storage.getToken();
             
             if (!token || JWT.isExpired(token)) {
-                console.log('Token expired, logging out...');
-                this.logout();
+                if (this.state.renewalHandler) {
+                    console.log('Token expired, asking to sign in again...');
+                    this.renewSession();
+                } else {
+                    console.log('Token expired, logging out...');
+                    this.logout();
+                }
             } else {
                 // Log time remaining (for debugging)
                 const timeRemaining = JWT.getTimeRemaining(token);
-                if (timeRemaining < 300) { // Less than 5 minutes
+                if (timeRemaining * 1000 < CONFIG.TOKEN_EXPIRY_WARNING) {
                     console.warn(`Token expires in ${timeRemaining} seconds`);
                 }
             }
@@ -247,14 +322,202 @@ const Auth = {
      * Stop monitoring token expiry
      */
     stopTokenExpiryCheck() {
-        if (this.expiryCheckInterval) {
-            clearInterval(this.expiryCheckInterval);
-            this.expiryCheckInterval = null;
+        if (this.state.expiryCheckInterval) {
+            clearInterval(this.state.expiryCheckInterval);
+            this.state.expiryCheckInterval = null;
         }
     },
 
+    /**
+     * Follow a session change made in another tab
+     * @param {string} type - 'logout', 'login' or 'token' (see SessionSync)
+     */
+    handleSessionChange(type) {
+        if (type === 'logout') {
+            this.logout();
+        } else if (type === 'token') {
+            // Same user signed in again: carry on with the new token
+            this.startTokenExpiryCheck();
+        } else {
+            // Another user: everything on the page belongs to the previous session
+            window.location.reload();
+        }
+    },
+
+    /**
+     * Let this view renew an expired session in place instead of going to #/login
+     * @param {Function} handler - () => Promise<boolean>, true once a new token is stored
+     */
+    setRenewalHandler(handler) {
+        this.state.renewalHandler = handler;
+    },
+
+    /**
+     * Check if this page can renew the session in place
+     * @returns {boolean}
+     */
+    canRenewSession() {
+        return Boolean(this.state.renewalHandler);
+    },
+
+    /**
+     * Ask for a new token, logging out when the user gives up
+     * Concurrent callers share one renewal.
+     * @returns {Promise<boolean>} True once a new token is stored
+     */
+    renewSession() {
+        if (!this.state.renewalHandler) {
+            this.logout();
+            return Promise.resolve(false);
+        }
+
+        if (!this.state.renewal) {
+            this.state.renewal = Promise.resolve(this.state.renewalHandler())
+                .catch(error => {
+                    console.error('Session renewal failed:', error);
+                    return false;
+                })
+                .then(renewed => {
+                    this.state.renewal = null;
+                    if (!renewed) {
+                        this.logout();
+                    }
+                    return renewed;
+                });
+        }
+
+        return this.state.renewal;
+    },
+
+    /**
+     * Replace the stored username with the login from the `user` query
+     * The identifier typed at login may be an email address.
+     * @param {string} login - Platform login
+     */
+    setUsername(login) {
+        if (login && login !== Storage.getUsername()) {
+            Storage.saveUsername(login);
+            updateAccount({ username: login });
+        }
+    },
+
+    /**
+     * Get the Hasura roles the current token may act as
+     * @returns {Array<string>} Allowed roles
+     */
+    getAllowedRoles() {
+        return JWT.getAllowedRoles(Storage.getToken());
+    },
+
+    /**
+     * Get the Hasura role requests are made with
+     * @returns {string|null} Chosen role, else the token's default role
+     */
+    getRole() {
+        const token = Storage.getToken();
+        const chosen = Storage.getRole();
+
+        if (chosen && JWT.getAllowedRoles(token).includes(chosen)) {
+            return chosen;
+        }
+
+        return JWT.getDefaultRole(token);
+    },
+
+    /**
+     * Act as another of the token's allowed roles
+     * @param {string} role - Role name
+     * @returns {boolean} True if the role is allowed
+     */
+    setRole(role) {
+        const token = Storage.getToken();
+
+        if (!JWT.getAllowedRoles(token).includes(role)) {
+            return false;
+        }
+
+        if (role === JWT.getDefaultRole(token)) {
+            Storage.removeRole();
+        } else {
+            Storage.saveRole(role);
+        }
+
+        updateAccount({ role: Storage.getRole() });
+        return true;
+    },
+
+    /**
+     * Get the saved accounts for the account switcher
+     * @returns {Array<object>} {userId, username, role, expired, active}, by username
+     */
+    getAccounts() {
+        const activeId = Storage.getUserId();
+
+        return Storage.getAccounts()
+            .map(account => ({
+                userId: account.userId,
+                username: account.username || `User ${account.userId}`,
+                role: account.role || null,
+                expired: !JWT.isValid(account.token),
+                active: account.userId === activeId
+            }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    /**
+     * Make a saved account the active session
+     * @param {number} userId - User ID of a saved account
+     * @returns {boolean} False if the account is unknown or its token expired
+     */
+    switchAccount(userId) {
+        const account = Storage.getAccount(userId);
+
+        if (!account || !JWT.isValid(account.token)) {
+            return false;
+        }
+
+        Storage.saveToken(account.token);
+        Storage.saveUserId(account.userId);
+        Storage.saveUsername(account.username);
+
+        if (account.role) {
+            Storage.saveRole(account.role);
+        } else {
+            Storage.removeRole();
+        }
+
+        this.startTokenExpiryCheck();
+
+        // Other tabs switch too
+        SessionSync.publish('login');
+        return true;
+    },
+
+    /**
+     * Forget a saved account, logging out when it is the active one
+     * @param {number} userId - User ID
+     */
+    removeAccount(userId) {
+        if (userId === Storage.getUserId()) {
+            this.logout();
+            return;
+        }
+
+        Storage.removeAccount(userId);
+    },
+
+    /**
+     * Leave the active account signed in for the switcher and go sign in with another
+     */
+    addAccount() {
+        this.stopTokenExpiryCheck();
+        Storage.clear();
+        Router.reload('/login');
+    },
+
     /**
      * Get authorization header for API requests
+     * Includes the Hasura role header when a non-default role was chosen
      * @returns {object} Headers object with Authorization
      */
     getAuthHeaders() {
@@ -264,17 +527,41 @@ const Auth = {
             return {};
         }
 
-        return {
+        const headers = {
             'Authorization': `${CONFIG.AUTH_HEADER_PREFIX} ${token}`,
             'Content-Type': 'application/json'
         };
+
+        const role = Storage.getRole();
+        if (role && JWT.getAllowedRoles(token).includes(role)) {
+            headers[CONFIG.HASURA_ROLE_HEADER] = role;
+        }
+
+        return headers;
     }
 };
 
 // Initialize token expiry check if user is authenticated
-if (Auth.isAuthenticated()) {
-    Auth.startTokenExpiryCheck();
-}
+Storage.ready().then(() => {
+    if (Auth.isAuthenticated()) {
+        Auth.startTokenExpiryCheck();
+    }
+});
+
+// Keep this tab on the session of the other tabs
+SessionSync.onChange(type => Auth.handleSessionChange(type));
 
 // Freeze the Auth object to prevent modifications
-Object.freeze(Auth);
\ No newline at end of file
+Object.freeze(Auth);
+
+/**
+ * Helper: update the active session's saved account
+ * @param {object} fields - {username, role} to change
+ */
+function updateAccount(fields) {
+    const userId = Storage.getUserId();
+
+    if (userId && Storage.getAccount(userId)) {
+        Storage.saveAccount(userId, fields);
+    }
+}
\ No newline at end of file
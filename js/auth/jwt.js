@@ -62,11 +62,9 @@ const JWT = {
             return parseInt(payload.sub, 10);
         }
         
-        if (payload['https://hasura.io/jwt/claims']) {
-            const claims = payload['https://hasura.io/jwt/claims'];
-            if (claims['x-hasura-user-id']) {
-                return parseInt(claims['x-hasura-user-id'], 10);
-            }
+        const claims = this.getHasuraClaims(token);
+        if (claims && claims['x-hasura-user-id']) {
+            return parseInt(claims['x-hasura-user-id'], 10);
         }
 
         if (payload.userId) {
@@ -78,6 +76,8 @@ const JWT = {
 
     /**
      * Get username from JWT token
+     * Zone01 tokens carry no login (the Hasura claims only hold roles and IDs),
+     * so this is usually null; the login comes from the `user` query instead.
      * @param {string} token - JWT token
      * @returns {string|null} Username or null if not found
      */
@@ -87,14 +87,6 @@ const JWT = {
             return null;
         }
 
-        // Try different possible locations for username
-        if (payload['https://hasura.io/jwt/claims']) {
-            const claims = payload['https://hasura.io/jwt/claims'];
-            if (claims['x-hasura-default-role']) {
-                return claims['x-hasura-default-role'];
-            }
-        }
-
         if (payload.username) {
             return payload.username;
         }
@@ -106,6 +98,42 @@ const JWT = {
         return null;
     },
 
+    /**
+     * Get the Hasura claims block from JWT token
+     * @param {string} token - JWT token
+     * @returns {object|null} Claims or null if the token has none
+     */
+    getHasuraClaims(token) {
+        const payload = this.decode(token);
+        if (!payload || !payload[CONFIG.HASURA_CLAIMS]) {
+            return null;
+        }
+
+        return payload[CONFIG.HASURA_CLAIMS];
+    },
+
+    /**
+     * Get the Hasura roles the token may act as
+     * @param {string} token - JWT token
+     * @returns {Array<string>} Allowed roles (empty if none)
+     */
+    getAllowedRoles(token) {
+        const claims = this.getHasuraClaims(token);
+        const roles = claims && claims['x-hasura-allowed-roles'];
+
+        return Array.isArray(roles) ? roles : [];
+    },
+
+    /**
+     * Get the Hasura role used when no role header is sent
+     * @param {string} token - JWT token
+     * @returns {string|null} Default role or null
+     */
+    getDefaultRole(token) {
+        const claims = this.getHasuraClaims(token);
+        return (claims && claims['x-hasura-default-role']) || null;
+    },
+
     /**
      * Check if JWT token is expired
      * @param {string} token - JWT token
@@ -0,0 +1,143 @@
+/**
+ * Login Throttle Module
+ * Counts failed sign-ins per identifier and makes the login form wait before
+ * the next attempt: free for CONFIG.LOGIN_THROTTLE.FREE_ATTEMPTS failures,
+ * then BASE_COOLDOWN, doubled after every further failure up to MAX_COOLDOWN.
+ * A 429 from the signin endpoint waits for as long as its Retry-After asks.
+ * Attempts live in localStorage, so reloading the page does not reset them.
+ * Identifiers are hashed before they are stored.
+ */
+
+const LoginThrottle = {
+    /**
+     * Time left before an identifier may try again
+     * @param {string} identifier - Username or email
+     * @returns {number} Milliseconds, 0 when it may try now
+     */
+    getWait(identifier) {
+        const entry = this.load()[hashLoginIdentifier(identifier)];
+        return entry ? Math.max(0, entry.until - Date.now()) : 0;
+    },
+
+    /**
+     * Record rejected credentials
+     * @param {string} identifier - Username or email
+     * @returns {number} Cooldown started by this failure, in milliseconds
+     */
+    recordFailure(identifier) {
+        const { FREE_ATTEMPTS, BASE_COOLDOWN, MAX_COOLDOWN } = CONFIG.LOGIN_THROTTLE;
+
+        return this.update(identifier, entry => {
+            entry.failures++;
+
+            const extra = entry.failures - FREE_ATTEMPTS;
+            if (extra > 0) {
+                const cooldown = Math.min(BASE_COOLDOWN * 2 ** (extra - 1), MAX_COOLDOWN);
+                entry.until = Math.max(entry.until, Date.now() + cooldown);
+            }
+        });
+    },
+
+    /**
+     * Record a 429 from the server
+     * @param {string} identifier - Username or email
+     * @param {number|null} retryAfter - Milliseconds from Retry-After, if any
+     * @returns {number} Cooldown in milliseconds
+     */
+    recordRateLimit(identifier, retryAfter) {
+        const cooldown = retryAfter === null ? CONFIG.LOGIN_THROTTLE.BASE_COOLDOWN : retryAfter;
+
+        return this.update(identifier, entry => {
+            entry.until = Math.max(entry.until, Date.now() + cooldown);
+        });
+    },
+
+    /**
+     * Forget the failures of an identifier that signed in
+     * @param {string} identifier - Username or email
+     */
+    recordSuccess(identifier) {
+        const entries = this.load();
+        delete entries[hashLoginIdentifier(identifier)];
+        this.save(entries);
+    },
+
+    /**
+     * Change the entry of an identifier
+     * @param {string} identifier - Username or email
+     * @param {Function} change - Receives {failures, until, last} to modify
+     * @returns {number} Wait after the change, in milliseconds
+     */
+    update(identifier, change) {
+        const entries = this.load();
+        const key = hashLoginIdentifier(identifier);
+        const entry = entries[key] || { failures: 0, until: 0, last: 0 };
+
+        change(entry);
+        entry.last = Date.now();
+        entries[key] = entry;
+        this.save(entries);
+
+        return Math.max(0, entry.until - Date.now());
+    },
+
+    /**
+     * Read the stored attempts, dropping the ones quiet for RESET_AFTER
+     * @returns {object} Hashed identifier -> {failures, until, last}
+     */
+    load() {
+        let entries = {};
+
+        try {
+            entries = JSON.parse(localStorage.getItem(CONFIG.LOGIN_THROTTLE.STORAGE_KEY)) || {};
+        } catch (error) {
+            // Unreadable or unavailable: start counting again
+        }
+
+        const cutoff = Date.now() - CONFIG.LOGIN_THROTTLE.RESET_AFTER;
+        Object.keys(entries).forEach(key => {
+            if (entries[key].last < cutoff && entries[key].until < Date.now()) {
+                delete entries[key];
+            }
+        });
+
+        return entries;
+    },
+
+    /**
+     * Store the attempts
+     * @param {object} entries - Hashed identifier -> {failures, until, last}
+     */
+    save(entries) {
+        try {
+            if (Object.keys(entries).length) {
+                localStorage.setItem(CONFIG.LOGIN_THROTTLE.STORAGE_KEY, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(CONFIG.LOGIN_THROTTLE.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not store login attempts:', error.message);
+        }
+    }
+};
+
+// Freeze the LoginThrottle object to prevent modifications
+Object.freeze(LoginThrottle);
+
+/**
+ * Helper: hash an identifier (FNV-1a) so stored attempts do not list who tried to sign in
+ * Case is ignored, so "Alice" and "alice" share one count.
+ * @param {string} identifier - Username or email
+ * @returns {string} Hex hash
+ */
+function hashLoginIdentifier(identifier) {
+    let hash = 0x811c9dc5;
+    const text = String(identifier).trim().toLowerCase();
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16);
+}
@@ -0,0 +1,64 @@
+/**
+ * Return-To Module
+ * Brings users back to the route they asked for (path and query) after
+ * signing in. Targets come from the route guard that required a login or from
+ * #/login?next=<route>, and are only followed when they match a route listed
+ * in CONFIG.RETURN_TO.ALLOWED_ROUTES, so a crafted link cannot send users
+ * somewhere unexpected after they sign in.
+ */
+
+const ReturnTo = {
+    /**
+     * Remember a route to come back to
+     * @param {string} path - Route path (defaults to the current one)
+     * @returns {boolean} False if the route is not allowed
+     */
+    save(path = Router.getPath()) {
+        const target = this.resolve(path);
+
+        if (!target) {
+            return false;
+        }
+
+        sessionStorage.setItem(CONFIG.RETURN_TO.STORAGE_KEY, target);
+        return true;
+    },
+
+    /**
+     * Get where to go after signing in, forgetting the saved route
+     * ?next= on the login route wins over a saved route.
+     * @param {object|null} match - Login route being entered (defaults to the current one)
+     * @returns {string} Route path with query
+     */
+    consume(match = Router.getCurrent()) {
+        const saved = sessionStorage.getItem(CONFIG.RETURN_TO.STORAGE_KEY);
+        sessionStorage.removeItem(CONFIG.RETURN_TO.STORAGE_KEY);
+
+        const requested = match && match.query.get(CONFIG.RETURN_TO.URL_PARAM);
+
+        return this.resolve(requested) || this.resolve(saved) || CONFIG.RETURN_TO.DEFAULT;
+    },
+
+    /**
+     * Check a target against the allow-list
+     * @param {string|null} path - Route path, e.g. '/profile/div-01'
+     * @returns {string|null} The path if its route is allowed, else null
+     */
+    resolve(path) {
+        if (!path) {
+            return null;
+        }
+
+        const match = Router.match(path);
+
+        if (!match || !CONFIG.RETURN_TO.ALLOWED_ROUTES.includes(match.route.pattern)) {
+            console.warn('Ignoring return-to target:', path);
+            return null;
+        }
+
+        return match.path;
+    }
+};
+
+// Freeze the ReturnTo object to prevent modifications
+Object.freeze(ReturnTo);
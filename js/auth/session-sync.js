@@ -0,0 +1,163 @@
+/**
+ * Session Sync Module
+ * Keeps every open tab on the same session. Auth publishes logins and logouts
+ * over a BroadcastChannel; browsers without one poll the stored session
+ * instead. Only sessions kept in a persistent backend are shared: tabs that
+ * signed in without "remember me" (or in memory) keep their own session and
+ * neither announce nor follow changes. Listeners get one of:
+ *     'logout' - another tab logged out
+ *     'login'  - another user signed in
+ *     'token'  - the same user signed in again (renewed token)
+ */
+
+const SessionSync = {
+    state: {
+        channel: null,
+        poller: null,
+        userId: null, // Session this tab is showing
+        token: null,
+        listeners: []
+    },
+
+    /**
+     * Start listening to other tabs
+     */
+    start() {
+        if (this.state.channel || this.state.poller) {
+            return;
+        }
+
+        this.remember();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.state.channel = new BroadcastChannel(CONFIG.SESSION_SYNC.CHANNEL);
+            // Backends that cache in memory reload what the other tab wrote first
+            this.state.channel.addEventListener('message', (e) => {
+                Storage.refresh().then(() => this.receive(e.data));
+            });
+        } else {
+            this.state.poller = setInterval(() => {
+                Storage.refresh().then(() => this.poll());
+            }, CONFIG.SESSION_SYNC.POLL_INTERVAL);
+        }
+    },
+
+    /**
+     * Tell the other tabs about a session change made in this tab
+     * @param {string} type - 'login' or 'logout'
+     */
+    publish(type) {
+        // A tab that is already logged out has nothing to announce
+        if (type === 'logout' && !this.state.userId) {
+            return;
+        }
+
+        this.remember();
+
+        if (this.state.channel && this.isShared()) {
+            const message = { type, userId: this.state.userId, backend: Storage.getBackendName() };
+
+            // Backends that write in the background must be done before the others read
+            Storage.flush().then(() => this.state.channel.postMessage(message));
+        }
+    },
+
+    /**
+     * Handle a message from another tab
+     * @param {object} message - {type, userId, backend}
+     */
+    receive(message) {
+        // A tab using another backend does not hold the session that changed
+        if (!message || !message.type || !this.isShared() || message.backend !== Storage.getBackendName()) {
+            return;
+        }
+
+        if (message.type === 'logout') {
+            this.change('logout');
+        } else if (message.type === 'login') {
+            this.change(message.userId === this.state.userId ? 'token' : 'login');
+        }
+    },
+
+    /**
+     * Fallback: compare the stored session with what this tab last saw
+     */
+    poll() {
+        if (!this.isShared()) {
+            return;
+        }
+
+        const token = Storage.getToken();
+
+        if (token === this.state.token) {
+            return;
+        }
+
+        if (!token) {
+            // Expired tokens are cleared by whichever tab notices first, which is not a logout
+            if (this.state.token && !JWT.isExpired(this.state.token)) {
+                this.change('logout');
+            } else {
+                this.state.token = null;
+            }
+            return;
+        }
+
+        this.change(Storage.getUserId() === this.state.userId ? 'token' : 'login');
+    },
+
+    /**
+     * Adopt the stored session and notify listeners
+     * @param {string} type - 'logout', 'login' or 'token'
+     */
+    change(type) {
+        // Logging out here must not announce the logout again
+        if (type === 'logout' && !this.state.userId) {
+            return;
+        }
+
+        this.remember();
+        console.log(`Session changed in another tab: ${type}`);
+        this.state.listeners.forEach(listener => listener(type, this.state.userId));
+    },
+
+    /**
+     * Check if this tab's session is one other tabs can see
+     * Session and memory backends belong to a single tab.
+     * @returns {boolean}
+     */
+    isShared() {
+        return Boolean(StorageBackends.get(Storage.getBackendName()).persistent);
+    },
+
+    /**
+     * Record the session currently in storage
+     */
+    remember() {
+        this.state.token = Storage.getToken();
+        this.state.userId = this.state.token ? Storage.getUserId() : null;
+    },
+
+    /**
+     * Listen for session changes made in other tabs
+     * @param {Function} listener - (type, userId) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.state.listeners.push(listener);
+        return () => {
+            const index = this.state.listeners.indexOf(listener);
+            if (index !== -1) {
+                this.state.listeners.splice(index, 1);
+            }
+        };
+    }
+};
+
+// Expose to window
+window.SessionSync = SessionSync;
+
+// Freeze the SessionSync object
+Object.freeze(SessionSync);
+
+Storage.ready().then(() => SessionSync.start());
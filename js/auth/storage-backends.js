@@ -0,0 +1,357 @@
+/**
+ * Storage Backends
+ * Where Storage keeps the session. Every backend implements
+ *     persistent               -> true when its data survives closing the browser
+ *     get(key)                 -> string|null
+ *     set(key, value, expires) -> expires is a Date (the JWT's exp) or null
+ *     remove(key)
+ *     keys()                   -> Array<string> of the keys it holds
+ *     load()                   -> optional, Promise; called before first use
+ *                                 and whenever another tab may have written
+ *     flush()                  -> optional, Promise; resolves once background
+ *                                 writes are visible to other tabs
+ * Add one with StorageBackends.register().
+ */
+
+const StorageBackends = {
+    // Every key Storage writes starts with this prefix
+    KEY_PREFIX: 'zone01_',
+
+    registry: {},
+
+    /**
+     * Register a backend
+     * @param {string} name - Name used in CONFIG.STORAGE
+     * @param {object} backend - {get, set, remove, keys, load?}
+     */
+    register(name, backend) {
+        this.registry[name] = backend;
+    },
+
+    /**
+     * Get a backend by name
+     * @param {string} name
+     * @returns {object|null}
+     */
+    get(name) {
+        return this.registry[name] || null;
+    }
+};
+
+// Freeze the StorageBackends object to prevent modifications
+Object.freeze(StorageBackends);
+
+/**
+ * Cookies, with Secure and SameSite flags
+ * Note: HttpOnly cannot be set from client-side JavaScript; that needs a backend server.
+ */
+StorageBackends.register('cookie', Object.freeze({
+    persistent: true,
+
+    COOKIE_CONFIG: {
+        MAX_AGE: 86400, // Lifetime of values without an expiry (24 hours in seconds)
+        PATH: '/',
+        SECURE: window.location.protocol === 'https:', // Only true on HTTPS
+        SAMESITE: 'Strict' // CSRF protection
+    },
+
+    get(key) {
+        try {
+            const nameEQ = encodeURIComponent(key) + '=';
+            const cookies = document.cookie.split(';');
+
+            for (let cookie of cookies) {
+                cookie = cookie.trim();
+                if (cookie.indexOf(nameEQ) === 0) {
+                    return decodeURIComponent(cookie.substring(nameEQ.length));
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error('Error getting cookie:', error);
+            return null;
+        }
+    },
+
+    set(key, value, expires = null) {
+        // Cookies die with the token instead of outliving it
+        const maxAge = expires
+            ? Math.max(0, Math.floor((expires.getTime() - Date.now()) / 1000))
+            : this.COOKIE_CONFIG.MAX_AGE;
+
+        try {
+            let cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+            cookie += `; max-age=${maxAge}`;
+            cookie += `; path=${this.COOKIE_CONFIG.PATH}`;
+            cookie += `; SameSite=${this.COOKIE_CONFIG.SAMESITE}`;
+
+            // Only set Secure flag on HTTPS
+            if (this.COOKIE_CONFIG.SECURE) {
+                cookie += '; Secure';
+            }
+
+            document.cookie = cookie;
+        } catch (error) {
+            console.error('Error setting cookie:', error);
+        }
+    },
+
+    remove(key) {
+        try {
+            // Set expiration to past date
+            document.cookie = `${encodeURIComponent(key)}=; max-age=0; path=${this.COOKIE_CONFIG.PATH}`;
+        } catch (error) {
+            console.error('Error deleting cookie:', error);
+        }
+    },
+
+    keys() {
+        return document.cookie
+            .split(';')
+            .map(cookie => decodeURIComponent(cookie.trim().split('=')[0]))
+            .filter(key => key.startsWith(StorageBackends.KEY_PREFIX));
+    }
+}));
+
+/**
+ * sessionStorage: this tab only, gone when it is closed
+ */
+StorageBackends.register('session', Object.freeze({
+    get(key) {
+        return sessionStorage.getItem(key);
+    },
+
+    set(key, value) {
+        sessionStorage.setItem(key, value);
+    },
+
+    remove(key) {
+        sessionStorage.removeItem(key);
+    },
+
+    keys() {
+        return webStorageKeys(sessionStorage);
+    }
+}));
+
+/**
+ * Memory: this tab only, nothing is written anywhere
+ * Moving between routes keeps the session; reloading the app signs out.
+ */
+StorageBackends.register('memory', Object.freeze({
+    state: {
+        entries: new Map()
+    },
+
+    get(key) {
+        return this.state.entries.has(key) ? this.state.entries.get(key) : null;
+    },
+
+    set(key, value) {
+        this.state.entries.set(key, String(value));
+    },
+
+    remove(key) {
+        this.state.entries.delete(key);
+    },
+
+    keys() {
+        return [...this.state.entries.keys()];
+    }
+}));
+
+/**
+ * localStorage encrypted with AES-GCM
+ * The key is a non-extractable CryptoKey kept in IndexedDB, so the values on
+ * disk are unreadable on their own; scripts running on this origin can still
+ * decrypt them. Values are decrypted into memory by load() and written back
+ * in order in the background.
+ */
+StorageBackends.register('encrypted-local', Object.freeze({
+    DB_NAME: 'zone01_keys',
+    STORE_NAME: 'keys',
+    KEY_ID: 'storage',
+    ITEM_PREFIX: 'zone01_enc:',
+    persistent: true,
+
+    state: {
+        entries: new Map(), // Decrypted values
+        key: null,
+        writes: Promise.resolve()
+    },
+
+    async load() {
+        if (!window.crypto || !window.crypto.subtle || !window.indexedDB) {
+            console.warn('Encrypted storage unavailable, keeping the session in memory');
+            return;
+        }
+
+        this.state.key = this.state.key || await this.loadKey();
+        await this.state.writes;
+
+        const entries = new Map();
+        for (const item of webStorageKeys(localStorage, this.ITEM_PREFIX)) {
+            try {
+                entries.set(item.slice(this.ITEM_PREFIX.length), await decryptValue(this.state.key, localStorage.getItem(item)));
+            } catch (error) {
+                // Written with a key that no longer exists
+                localStorage.removeItem(item);
+            }
+        }
+        this.state.entries = entries;
+    },
+
+    /**
+     * Get the encryption key, creating it on first use
+     * @returns {Promise<CryptoKey>}
+     */
+    async loadKey() {
+        const db = await openKeyDatabase(this.DB_NAME, this.STORE_NAME);
+        const stored = await runKeyTransaction(db, this.STORE_NAME, 'readonly', store => store.get(this.KEY_ID));
+
+        if (stored) {
+            return stored;
+        }
+
+        const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await runKeyTransaction(db, this.STORE_NAME, 'readwrite', store => store.put(key, this.KEY_ID));
+        return key;
+    },
+
+    get(key) {
+        return this.state.entries.has(key) ? this.state.entries.get(key) : null;
+    },
+
+    set(key, value) {
+        this.state.entries.set(key, String(value));
+        this.write(key, String(value));
+    },
+
+    remove(key) {
+        this.state.entries.delete(key);
+        this.write(key, null);
+    },
+
+    keys() {
+        return [...this.state.entries.keys()];
+    },
+
+    flush() {
+        return this.state.writes;
+    },
+
+    /**
+     * Queue a write so a slow encryption cannot overtake a later removal
+     * @param {string} key
+     * @param {string|null} value - null removes the item
+     */
+    write(key, value) {
+        const item = `${this.ITEM_PREFIX}${key}`;
+
+        this.state.writes = this.state.writes
+            .then(async () => {
+                if (value === null) {
+                    localStorage.removeItem(item);
+                } else if (this.state.key) {
+                    localStorage.setItem(item, await encryptValue(this.state.key, value));
+                }
+            })
+            .catch(error => console.error('Error writing encrypted storage:', error));
+    }
+}));
+
+/**
+ * Helper: keys of a Web Storage area that start with a prefix
+ * @param {Storage} area - sessionStorage or localStorage
+ * @param {string} prefix - Defaults to StorageBackends.KEY_PREFIX
+ * @returns {Array<string>}
+ */
+function webStorageKeys(area, prefix = StorageBackends.KEY_PREFIX) {
+    const keys = [];
+    for (let i = 0; i < area.length; i++) {
+        const key = area.key(i);
+        if (key.startsWith(prefix)) {
+            keys.push(key);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Helper: open the IndexedDB database holding the encryption key
+ * @param {string} name - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openKeyDatabase(name, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(name, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Helper: run a single request against the key store
+ * @param {IDBDatabase} db
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function runKeyTransaction(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Helper: encrypt a string as base64 "iv.ciphertext"
+ * @param {CryptoKey} key
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function encryptValue(key, value) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(value));
+    return `${bytesToBase64(iv)}.${bytesToBase64(new Uint8Array(data))}`;
+}
+
+/**
+ * Helper: decrypt a value written by encryptValue()
+ * @param {CryptoKey} key
+ * @param {string} stored - base64 "iv.ciphertext"
+ * @returns {Promise<string>}
+ */
+async function decryptValue(key, stored) {
+    const [iv, data] = stored.split('.').map(base64ToBytes);
+    const plain = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(plain);
+}
+
+/**
+ * Helper: Uint8Array -> base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Helper: base64 -> Uint8Array
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -1,162 +1,277 @@
 /**
- * Storage Module - Cookie-based JWT Storage
- * Uses cookies with Secure and SameSite flags for better security
- * 
- * Note: HttpOnly flag cannot be set from client-side JavaScript.
- * For true HttpOnly security, you would need a backend server.
+ * Storage Module - Session Storage
+ * Keeps the JWT and user details in one of the backends from
+ * storage-backends.js (cookies by default). The "remember me" choice on the
+ * login page picks the backend; the choice itself is kept in localStorage
+ * when remembered and in sessionStorage otherwise.
  */
 
 const Storage = {
     /**
-     * Cookie configuration
+     * Storage keys
      */
-    COOKIE_CONFIG: {
+    KEYS: {
         JWT_TOKEN: 'zone01_jwt_token',
         USER_ID: 'zone01_user_id',
         USERNAME: 'zone01_username',
-        MAX_AGE: 86400, // 24 hours in seconds
-        PATH: '/',
-        SECURE: window.location.protocol === 'https:', // Only true on HTTPS
-        SAMESITE: 'Strict' // CSRF protection
+        ROLE: 'zone01_hasura_role',
+        ACCOUNT_PREFIX: 'zone01_account_' // One entry per saved account: zone01_account_<userId>
+    },
+
+    // Where the backend choice is remembered
+    BACKEND_KEY: 'storage_backend',
+
+    state: {
+        backend: null, // Name of the backend in use
+        loading: null
     },
 
     /**
-     * Set a cookie with security flags
-     * @param {string} name - Cookie name
-     * @param {string} value - Cookie value
-     * @param {number} maxAge - Max age in seconds (optional)
+     * Get the backend in use
+     * @returns {object}
      */
-    setCookie(name, value, maxAge = this.COOKIE_CONFIG.MAX_AGE) {
-        try {
-            let cookie = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
-            cookie += `; max-age=${maxAge}`;
-            cookie += `; path=${this.COOKIE_CONFIG.PATH}`;
-            cookie += `; SameSite=${this.COOKIE_CONFIG.SAMESITE}`;
-            
-            // Only set Secure flag on HTTPS
-            if (this.COOKIE_CONFIG.SECURE) {
-                cookie += '; Secure';
-            }
+    backend() {
+        if (!this.state.backend) {
+            this.state.backend = readBackendChoice(this.BACKEND_KEY);
+        }
+        return StorageBackends.get(this.state.backend);
+    },
 
-            document.cookie = cookie;
-            return true;
-        } catch (error) {
-            console.error('Error setting cookie:', error);
-            return false;
+    /**
+     * Get the name of the backend in use
+     * @returns {string}
+     */
+    getBackendName() {
+        this.backend();
+        return this.state.backend;
+    },
+
+    /**
+     * Wait for the backend to load its data (the encrypted backend decrypts asynchronously)
+     * Pages call this before their first authentication check.
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.state.loading) {
+            this.state.loading = this.refresh();
         }
+        return this.state.loading;
     },
 
     /**
-     * Get a cookie value
-     * @param {string} name - Cookie name
-     * @returns {string|null} Cookie value or null
+     * Reload the backend's data, e.g. after another tab wrote to it
+     * @returns {Promise<void>}
      */
-    getCookie(name) {
+    async refresh() {
+        const backend = this.backend();
+
         try {
-            const nameEQ = encodeURIComponent(name) + '=';
-            const cookies = document.cookie.split(';');
-            
-            for (let cookie of cookies) {
-                cookie = cookie.trim();
-                if (cookie.indexOf(nameEQ) === 0) {
-                    return decodeURIComponent(cookie.substring(nameEQ.length));
-                }
+            if (backend.load) {
+                await backend.load();
             }
-            return null;
         } catch (error) {
-            console.error('Error getting cookie:', error);
-            return null;
+            console.error('Error loading storage backend:', error);
         }
     },
 
     /**
-     * Delete a cookie
-     * @param {string} name - Cookie name
+     * Wait for writes the backend makes in the background
+     * @returns {Promise<void>}
      */
-    deleteCookie(name) {
-        try {
-            // Set expiration to past date
-            document.cookie = `${encodeURIComponent(name)}=; max-age=0; path=${this.COOKIE_CONFIG.PATH}`;
-            return true;
-        } catch (error) {
-            console.error('Error deleting cookie:', error);
+    flush() {
+        const backend = this.backend();
+        return backend.flush ? backend.flush() : Promise.resolve();
+    },
+
+    /**
+     * Switch to another backend
+     * Saved accounts move to the new backend and nothing is left in the old one.
+     * @param {string} name - Backend name (see CONFIG.STORAGE)
+     * @returns {Promise<boolean>} False if the backend does not exist
+     */
+    async useBackend(name) {
+        const next = StorageBackends.get(name);
+
+        if (!next) {
+            console.error(`Unknown storage backend: ${name}`);
             return false;
         }
+
+        await this.ready();
+
+        if (name !== this.state.backend) {
+            const accounts = this.getAccounts();
+            const previous = this.backend();
+
+            previous.keys().forEach(key => previous.remove(key));
+
+            this.state.backend = name;
+            this.state.loading = null;
+            await this.ready();
+
+            accounts.forEach(account => this.saveAccount(account.userId, account));
+        }
+
+        saveBackendChoice(this.BACKEND_KEY, name);
+        return true;
+    },
+
+    /**
+     * Write a value that lives as long as the current token
+     * @param {string} key - Storage key
+     * @param {string} value - Value
+     */
+    setSessionValue(key, value) {
+        const token = this.getToken();
+        this.backend().set(key, value, token ? JWT.getExpirationDate(token) : null);
+        return true;
     },
 
     /**
-     * Save JWT token to cookie
+     * Save JWT token, expiring with it
      * @param {string} token - JWT token
      */
     saveToken(token) {
-        return this.setCookie(this.COOKIE_CONFIG.JWT_TOKEN, token);
+        this.backend().set(this.KEYS.JWT_TOKEN, token, JWT.getExpirationDate(token));
+        return true;
     },
 
     /**
-     * Get JWT token from cookie
+     * Get JWT token
      * @returns {string|null} JWT token or null
      */
     getToken() {
-        return this.getCookie(this.COOKIE_CONFIG.JWT_TOKEN);
+        return this.backend().get(this.KEYS.JWT_TOKEN);
     },
 
     /**
-     * Remove JWT token cookie
+     * Remove JWT token
      */
     removeToken() {
-        return this.deleteCookie(this.COOKIE_CONFIG.JWT_TOKEN);
+        this.backend().remove(this.KEYS.JWT_TOKEN);
+        return true;
     },
 
     /**
-     * Save user ID to cookie
+     * Save user ID
      * @param {number} userId - User ID
      */
     saveUserId(userId) {
-        return this.setCookie(this.COOKIE_CONFIG.USER_ID, userId.toString());
+        return this.setSessionValue(this.KEYS.USER_ID, userId.toString());
     },
 
     /**
-     * Get user ID from cookie
+     * Get user ID
      * @returns {number|null} User ID or null
      */
     getUserId() {
-        const userId = this.getCookie(this.COOKIE_CONFIG.USER_ID);
+        const userId = this.backend().get(this.KEYS.USER_ID);
         return userId ? parseInt(userId, 10) : null;
     },
 
     /**
-     * Save username to cookie
+     * Save username
      * @param {string} username - Username
      */
     saveUsername(username) {
-        return this.setCookie(this.COOKIE_CONFIG.USERNAME, username);
+        return this.setSessionValue(this.KEYS.USERNAME, username);
     },
 
     /**
-     * Get username from cookie
+     * Get username
      * @returns {string|null} Username or null
      */
     getUsername() {
-        return this.getCookie(this.COOKIE_CONFIG.USERNAME);
+        return this.backend().get(this.KEYS.USERNAME);
     },
 
     /**
-     * Clear all authentication cookies
+     * Save the chosen Hasura role
+     * @param {string} role - Role name
+     */
+    saveRole(role) {
+        return this.setSessionValue(this.KEYS.ROLE, role);
+    },
+
+    /**
+     * Get the chosen Hasura role
+     * @returns {string|null} Role or null when the default role is used
+     */
+    getRole() {
+        return this.backend().get(this.KEYS.ROLE);
+    },
+
+    /**
+     * Remove the chosen Hasura role
+     */
+    removeRole() {
+        this.backend().remove(this.KEYS.ROLE);
+        return true;
+    },
+
+    /**
+     * Save or update an account for the account switcher
+     * @param {number} userId - User ID
+     * @param {object} fields - {token, username, role} to change
+     */
+    saveAccount(userId, fields) {
+        const account = { ...this.getAccount(userId), ...fields, userId };
+
+        // Kept past the token's expiry so the switcher can flag it
+        this.backend().set(`${this.KEYS.ACCOUNT_PREFIX}${userId}`, JSON.stringify(account), null);
+        return true;
+    },
+
+    /**
+     * Get a saved account
+     * @param {number} userId - User ID
+     * @returns {object|null} {userId, token, username, role} or null
+     */
+    getAccount(userId) {
+        return parseAccount(this.backend().get(`${this.KEYS.ACCOUNT_PREFIX}${userId}`));
+    },
+
+    /**
+     * Get every saved account
+     * @returns {Array<object>} [{userId, token, username, role}]
+     */
+    getAccounts() {
+        const backend = this.backend();
+
+        return backend.keys()
+            .filter(key => key.startsWith(this.KEYS.ACCOUNT_PREFIX))
+            .map(key => parseAccount(backend.get(key)))
+            .filter(account => account && account.token);
+    },
+
+    /**
+     * Forget a saved account
+     * @param {number} userId - User ID
+     */
+    removeAccount(userId) {
+        this.backend().remove(`${this.KEYS.ACCOUNT_PREFIX}${userId}`);
+        return true;
+    },
+
+    /**
+     * Clear the active session
+     * Saved accounts are kept; remove them with removeAccount().
      */
     clear() {
         try {
             this.removeToken();
-            this.deleteCookie(this.COOKIE_CONFIG.USER_ID);
-            this.deleteCookie(this.COOKIE_CONFIG.USERNAME);
+            this.backend().remove(this.KEYS.USER_ID);
+            this.backend().remove(this.KEYS.USERNAME);
+            this.removeRole();
             return true;
         } catch (error) {
-            console.error('Error clearing cookies:', error);
+            console.error('Error clearing storage:', error);
             return false;
         }
     },
 
     /**
-     * Check if user is authenticated (has valid token cookie)
+     * Check if user is authenticated (has a stored token)
      * @returns {boolean} True if token exists
      */
     isAuthenticated() {
@@ -169,4 +284,60 @@ const Storage = {
 window.Storage = Storage;
 
 // Freeze the Storage object
-Object.freeze(Storage);
\ No newline at end of file
+Object.freeze(Storage);
+
+/**
+ * Helper: read the backend choice, session choice first
+ * @param {string} key - Web Storage key
+ * @returns {string} Backend name
+ */
+function readBackendChoice(key) {
+    try {
+        const name = sessionStorage.getItem(key) || localStorage.getItem(key);
+        if (name && StorageBackends.get(name)) {
+            return name;
+        }
+    } catch (error) {
+        console.warn('Could not read storage choice:', error.message);
+    }
+
+    // Not chosen yet: same as a ticked "remember me"
+    return CONFIG.STORAGE.REMEMBER;
+}
+
+/**
+ * Helper: remember the backend choice where it lasts as long as the backend's data
+ * @param {string} key - Web Storage key
+ * @param {string} name - Backend name
+ */
+function saveBackendChoice(key, name) {
+    try {
+        if (StorageBackends.get(name).persistent) {
+            localStorage.setItem(key, name);
+            sessionStorage.removeItem(key);
+        } else {
+            sessionStorage.setItem(key, name);
+            localStorage.removeItem(key);
+        }
+    } catch (error) {
+        console.warn('Could not save storage choice:', error.message);
+    }
+}
+
+/**
+ * Helper: parse a saved account entry
+ * @param {string|null} value - Stored value
+ * @returns {object|null}
+ */
+function parseAccount(value) {
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Error reading saved account:', error);
+        return null;
+    }
+}
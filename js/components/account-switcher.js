@@ -0,0 +1,159 @@
+/**
+ * Account Switcher Component
+ * Header dropdown listing the accounts signed in on this browser: switch
+ * between them without signing in again, remove one, or add another
+ */
+
+const AccountSwitcher = {
+    /**
+     * Initialize the account switcher
+     */
+    init() {
+        const toggle = document.getElementById('accountToggle');
+        const menu = document.getElementById('accountMenu');
+
+        if (!toggle || !menu) {
+            console.warn('Account switcher not found');
+            return;
+        }
+
+        this.update();
+
+        toggle.addEventListener('click', () => {
+            if (menu.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+
+        // Close when clicking elsewhere or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !document.getElementById('accountSwitcher').contains(e.target)) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !menu.hidden) {
+                this.close();
+                toggle.focus();
+            }
+        });
+    },
+
+    /**
+     * Show the active account's name on the toggle
+     */
+    update() {
+        const toggle = document.getElementById('accountToggle');
+        const user = Auth.getCurrentUser();
+
+        if (toggle && user) {
+            toggle.textContent = user.username;
+        }
+    },
+
+    /**
+     * Open the menu
+     */
+    open() {
+        this.render();
+        document.getElementById('accountMenu').hidden = false;
+        document.getElementById('accountToggle').setAttribute('aria-expanded', 'true');
+    },
+
+    /**
+     * Close the menu
+     */
+    close() {
+        document.getElementById('accountMenu').hidden = true;
+        document.getElementById('accountToggle').setAttribute('aria-expanded', 'false');
+    },
+
+    /**
+     * Render one entry per saved account and the "Add account" action
+     * Usernames come from the platform, so they are set as text
+     */
+    render() {
+        const menu = document.getElementById('accountMenu');
+        menu.innerHTML = '';
+
+        Auth.getAccounts().forEach(account => {
+            menu.appendChild(this.createItem(account));
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'account-add';
+        addBtn.textContent = 'Add account';
+        addBtn.addEventListener('click', () => Auth.addAccount());
+        menu.appendChild(addBtn);
+    },
+
+    /**
+     * Create an account entry
+     * @param {object} account - Account from Auth.getAccounts()
+     * @returns {HTMLElement} Entry element
+     */
+    createItem(account) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+        item.classList.toggle('active', account.active);
+        item.classList.toggle('expired', account.expired);
+
+        const switchBtn = document.createElement('button');
+        switchBtn.type = 'button';
+        switchBtn.className = 'account-switch';
+        switchBtn.textContent = account.username;
+
+        const badge = document.createElement('span');
+        badge.className = 'account-badge';
+        badge.textContent = account.active ? 'Active' : account.expired ? 'Expired' : '';
+        switchBtn.appendChild(badge);
+
+        switchBtn.addEventListener('click', () => this.select(account));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'account-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove account';
+        removeBtn.setAttribute('aria-label', `Remove ${account.username}`);
+
+        removeBtn.addEventListener('click', () => {
+            Auth.removeAccount(account.userId);
+            if (!account.active) {
+                this.render();
+            }
+        });
+
+        item.appendChild(switchBtn);
+        item.appendChild(removeBtn);
+        return item;
+    },
+
+    /**
+     * Switch to an account
+     * Expired accounts have to sign in again.
+     * @param {object} account - Account from Auth.getAccounts()
+     */
+    select(account) {
+        if (account.active) {
+            this.close();
+        } else if (account.expired) {
+            Auth.addAccount();
+        } else if (Auth.switchAccount(account.userId)) {
+            // Everything on the page belongs to the previous account
+            window.location.reload();
+        } else {
+            this.render();
+        }
+    }
+};
+
+// Expose to window
+window.AccountSwitcher = AccountSwitcher;
+
+// Freeze the AccountSwitcher object
+Object.freeze(AccountSwitcher);
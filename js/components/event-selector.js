@@ -0,0 +1,77 @@
+/**
+ * Event Selector Component
+ * Renders one card per discovered event
+ */
+
+const EventSelector = {
+    /**
+     * Render the event cards
+     * @param {Array<object>} events - Events from Events.discover()
+     * @param {string} activeId - ID of the selected event
+     * @param {Function} onSelect - Called with the event a card stands for
+     */
+    render(events, activeId, onSelect) {
+        const container = document.getElementById('eventSelector');
+
+        if (!container) {
+            console.error('Event selector container not found');
+            return;
+        }
+
+        // Clear existing content
+        container.innerHTML = '';
+
+        events.forEach(event => {
+            const card = this.createCard(event, event.id === activeId);
+
+            card.addEventListener('click', () => {
+                this.setActive(event.id);
+                onSelect(event);
+            });
+
+            container.appendChild(card);
+        });
+    },
+
+    /**
+     * Create an event card element
+     * Names come from platform data, so they are set as text
+     * @param {object} event - Event
+     * @param {boolean} active - Whether the event is selected
+     * @returns {HTMLElement} Card element
+     */
+    createCard(event, active) {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = active ? 'event-card active' : 'event-card';
+        card.dataset.event = event.id;
+        card.setAttribute('aria-pressed', String(active));
+
+        [['event-icon', event.icon], ['event-title', event.name], ['event-subtitle', event.subtitle]].forEach(([className, text]) => {
+            const element = document.createElement('div');
+            element.className = className;
+            element.textContent = text;
+            card.appendChild(element);
+        });
+
+        return card;
+    },
+
+    /**
+     * Highlight the selected card
+     * @param {string} eventId - ID of the selected event
+     */
+    setActive(eventId) {
+        document.querySelectorAll('#eventSelector .event-card').forEach(card => {
+            const active = card.dataset.event === eventId;
+            card.classList.toggle('active', active);
+            card.setAttribute('aria-pressed', String(active));
+        });
+    }
+};
+
+// Expose to window
+window.EventSelector = EventSelector;
+
+// Freeze the EventSelector object
+Object.freeze(EventSelector);
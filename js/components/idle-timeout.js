@@ -0,0 +1,186 @@
+/**
+ * Idle Timeout Component
+ * Logs out after CONFIG.IDLE_TIMEOUT without pointer, keyboard or focus
+ * activity in any tab, asking "still there?" first. Tabs share the time of
+ * the last activity through localStorage.
+ */
+
+const IdleTimeout = {
+    ACTIVITY_EVENTS: ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'],
+
+    state: {
+        timer: null,
+        lastActivity: 0, // Last activity in this tab
+        overlay: null
+    },
+
+    /**
+     * Start watching for activity
+     */
+    init() {
+        if (!this.getTimeout()) {
+            console.log('Idle timeout disabled for this device');
+            return;
+        }
+
+        this.recordActivity(true);
+
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => this.onActivity(), { passive: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.onActivity();
+            }
+        });
+
+        clearInterval(this.state.timer);
+        this.state.timer = setInterval(() => this.check(), 1000);
+    },
+
+    /**
+     * Idle limit for this device
+     * Sessions kept with "remember me" are on trusted devices, the others on shared ones.
+     * @returns {number} Milliseconds, 0 when disabled
+     */
+    getTimeout() {
+        const trusted = StorageBackends.get(Storage.getBackendName()).persistent;
+        return trusted ? CONFIG.IDLE_TIMEOUT.TRUSTED : CONFIG.IDLE_TIMEOUT.SHARED;
+    },
+
+    /**
+     * Handle user activity in this tab
+     */
+    onActivity() {
+        // Moving the pointer to read the warning is not an answer to it
+        if (this.state.overlay) {
+            return;
+        }
+
+        this.recordActivity();
+    },
+
+    /**
+     * Remember the activity and share it with other tabs
+     * @param {boolean} force - Write even if the last write was recent
+     */
+    recordActivity(force = false) {
+        const now = Date.now();
+
+        // Pointer moves fire constantly; other tabs only need a recent time
+        if (!force && now - this.state.lastActivity < CONFIG.IDLE_TIMEOUT.WRITE_INTERVAL) {
+            return;
+        }
+
+        this.state.lastActivity = now;
+
+        try {
+            localStorage.setItem(CONFIG.IDLE_TIMEOUT.STORAGE_KEY, String(now));
+        } catch (error) {
+            console.warn('Could not share activity with other tabs:', error.message);
+        }
+    },
+
+    /**
+     * Time of the last activity in any tab
+     * @returns {number} Timestamp in milliseconds
+     */
+    getLastActivity() {
+        let shared = 0;
+
+        try {
+            shared = Number(localStorage.getItem(CONFIG.IDLE_TIMEOUT.STORAGE_KEY)) || 0;
+        } catch (error) {
+            // Only this tab's activity counts
+        }
+
+        return Math.max(shared, this.state.lastActivity);
+    },
+
+    /**
+     * Warn or log out once the idle time runs out
+     */
+    check() {
+        const remaining = this.getTimeout() - (Date.now() - this.getLastActivity());
+
+        if (remaining <= 0) {
+            clearInterval(this.state.timer);
+            console.log('Logging out after inactivity...');
+            Auth.logout();
+        } else if (remaining <= CONFIG.IDLE_TIMEOUT.WARNING) {
+            this.showWarning(Math.ceil(remaining / 1000));
+        } else {
+            // Someone answered in another tab
+            this.hideWarning();
+        }
+    },
+
+    /**
+     * Show or update the "still there?" dialog
+     * @param {number} seconds - Seconds until logout
+     */
+    showWarning(seconds) {
+        if (!this.state.overlay) {
+            const overlay = document.createElement('div');
+            overlay.className = 'logout-modal-overlay';
+            overlay.innerHTML = `
+                <div class="logout-modal" role="alertdialog" aria-modal="true" aria-labelledby="idleTitle" aria-describedby="idleMessage">
+                    <div class="logout-modal-header">
+                        <h3 id="idleTitle">Still there?</h3>
+                    </div>
+                    <div class="logout-modal-body">
+                        <p id="idleMessage">You will be logged out in <strong class="idle-countdown"></strong> because of inactivity.</p>
+                    </div>
+                    <div class="logout-modal-footer">
+                        <button id="idleLogout" class="btn-cancel">Logout</button>
+                        <button id="idleStay" class="btn-confirm">Stay Signed In</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(overlay);
+            this.state.overlay = overlay;
+
+            setTimeout(() => {
+                overlay.classList.add('show');
+            }, 10);
+
+            document.getElementById('idleLogout').addEventListener('click', () => {
+                clearInterval(this.state.timer);
+                Auth.logout();
+            });
+
+            const stayBtn = document.getElementById('idleStay');
+            stayBtn.addEventListener('click', () => {
+                this.hideWarning();
+                this.recordActivity(true);
+            });
+            stayBtn.focus();
+        }
+
+        this.state.overlay.querySelector('.idle-countdown').textContent = DateUtils.formatCountdown(seconds);
+    },
+
+    /**
+     * Close the dialog
+     */
+    hideWarning() {
+        const overlay = this.state.overlay;
+        if (!overlay) {
+            return;
+        }
+
+        this.state.overlay = null;
+        overlay.classList.remove('show');
+        setTimeout(() => {
+            overlay.remove();
+        }, 300);
+    }
+};
+
+// Expose to window
+window.IdleTimeout = IdleTimeout;
+
+// Freeze the IdleTimeout object
+Object.freeze(IdleTimeout);
@@ -0,0 +1,52 @@
+/**
+ * Role Selector Component
+ * Lets users whose token allows several Hasura roles (staff, admins) pick
+ * the role requests are made with
+ */
+
+const RoleSelector = {
+    /**
+     * Initialize the role selector
+     * Stays hidden for tokens with a single role.
+     * @param {Function} onChange - Called with the new role after it is applied
+     */
+    init(onChange) {
+        const container = document.getElementById('roleSelector');
+        const select = document.getElementById('roleSelect');
+
+        if (!container || !select) {
+            console.warn('Role selector not found');
+            return;
+        }
+
+        const roles = Auth.getAllowedRoles();
+        if (roles.length < 2) {
+            container.hidden = true;
+            return;
+        }
+
+        select.innerHTML = '';
+        roles.forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role;
+            select.appendChild(option);
+        });
+
+        select.value = Auth.getRole();
+        container.hidden = false;
+
+        select.addEventListener('change', () => {
+            if (Auth.setRole(select.value)) {
+                console.log('Hasura role:', select.value);
+                onChange(select.value);
+            }
+        });
+    }
+};
+
+// Expose to window
+window.RoleSelector = RoleSelector;
+
+// Freeze the RoleSelector object
+Object.freeze(RoleSelector);
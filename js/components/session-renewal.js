@@ -0,0 +1,345 @@
+/**
+ * Session Renewal Component
+ * Counts down the last minutes of the session in a banner, then asks the user
+ * to sign in again in a modal instead of leaving the page. Requests that fail
+ * with an expired token wait for the modal and are replayed (see
+ * GraphQLMiddleware.auth).
+ */
+
+const SessionRenewal = {
+    state: {
+        session: null, // {token, userId, username, role} of the signed-in user
+        countdown: null,
+        banner: null,
+        overlay: null,
+        resolve: null // Settles the open modal
+    },
+
+    /**
+     * Start the countdown and take over session renewal from Auth
+     */
+    init() {
+        const token = Storage.getToken();
+
+        if (!token) {
+            console.warn('Session renewal needs a signed-in user');
+            return;
+        }
+
+        this.remember(token);
+        Auth.setRenewalHandler(() => this.showLoginModal());
+
+        // Signing in again in another tab renews this one too
+        SessionSync.onChange(type => {
+            if (type === 'token') {
+                this.adopt();
+            }
+        });
+
+        clearInterval(this.state.countdown);
+        this.state.countdown = setInterval(() => this.tick(), 1000);
+        this.tick();
+    },
+
+    /**
+     * Keep what is needed to sign the same user back in
+     * Auth clears the cookies once the token expires, so this is read while it is valid.
+     * @param {string} token - Current JWT
+     */
+    remember(token) {
+        this.state.session = {
+            token,
+            userId: Storage.getUserId(),
+            username: Storage.getUsername(),
+            role: Storage.getRole()
+        };
+    },
+
+    /**
+     * Update the banner once a second
+     */
+    tick() {
+        const token = Storage.getToken();
+        if (token && !JWT.isExpired(token)) {
+            this.remember(token);
+        }
+
+        const remaining = JWT.getTimeRemaining(this.state.session.token);
+
+        if (remaining * 1000 > CONFIG.TOKEN_EXPIRY_WARNING) {
+            this.hideBanner();
+            return;
+        }
+
+        if (remaining === 0) {
+            this.hideBanner();
+            Auth.renewSession();
+            return;
+        }
+
+        this.showBanner(remaining);
+    },
+
+    /**
+     * Show or update the countdown banner
+     * @param {number} seconds - Seconds until the token expires
+     */
+    showBanner(seconds) {
+        if (!this.state.banner) {
+            const banner = document.createElement('div');
+            banner.className = 'session-banner';
+            banner.setAttribute('role', 'status');
+            banner.innerHTML = `
+                <span class="session-banner-text"></span>
+                <button type="button" class="session-banner-action">Stay signed in</button>
+            `;
+
+            banner.querySelector('.session-banner-action').addEventListener('click', () => {
+                Auth.renewSession();
+            });
+
+            document.body.appendChild(banner);
+            this.state.banner = banner;
+        }
+
+        this.state.banner.querySelector('.session-banner-text').textContent =
+            `Your session expires in ${DateUtils.formatCountdown(seconds)}`;
+    },
+
+    /**
+     * Remove the countdown banner
+     */
+    hideBanner() {
+        if (this.state.banner) {
+            this.state.banner.remove();
+            this.state.banner = null;
+        }
+    },
+
+    /**
+     * Ask the user to sign in again
+     * @returns {Promise<boolean>} True once a new token for the same user is stored
+     */
+    showLoginModal() {
+        const expired = JWT.getTimeRemaining(this.state.session.token) === 0;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'logout-modal-overlay';
+        overlay.innerHTML = `
+            <form class="logout-modal session-modal" id="sessionForm" role="dialog" aria-modal="true" aria-labelledby="sessionTitle" novalidate>
+                <div class="logout-modal-header">
+                    <h3 id="sessionTitle">${expired ? 'Session Expired' : 'Stay Signed In'}</h3>
+                </div>
+                <div class="logout-modal-body">
+                    <p>Sign in again to continue where you left off.</p>
+                    <label for="sessionIdentifier">Username or Email</label>
+                    <input type="text" id="sessionIdentifier" autocomplete="username" required>
+                    <label for="sessionPassword">Password</label>
+                    <input type="password" id="sessionPassword" autocomplete="current-password" required>
+                    <p class="session-error" id="sessionError" role="alert"></p>
+                </div>
+                <div class="logout-modal-footer">
+                    <button type="button" id="sessionLogout" class="btn-cancel">Logout</button>
+                    <button type="submit" id="sessionSignIn" class="btn-confirm">Sign In</button>
+                </div>
+            </form>
+        `;
+
+        document.body.appendChild(overlay);
+        this.state.overlay = overlay;
+
+        setTimeout(() => {
+            overlay.classList.add('show');
+        }, 10);
+
+        const identifierInput = document.getElementById('sessionIdentifier');
+        const passwordInput = document.getElementById('sessionPassword');
+
+        identifierInput.value = this.state.session.username || '';
+        (identifierInput.value ? passwordInput : identifierInput).focus();
+
+        return new Promise(resolve => {
+            this.state.resolve = resolve;
+
+            document.getElementById('sessionLogout').addEventListener('click', () => {
+                this.hideLoginModal(false);
+            });
+
+            document.getElementById('sessionForm').addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                if (await this.signIn(identifierInput.value.trim(), passwordInput.value)) {
+                    this.hideBanner();
+                    this.hideLoginModal(true);
+                }
+            });
+        });
+    },
+
+    /**
+     * Take the token another tab signed in with
+     */
+    adopt() {
+        const token = Storage.getToken();
+        if (!token || JWT.isExpired(token)) {
+            return;
+        }
+
+        this.remember(token);
+        this.hideBanner();
+        this.hideLoginModal(true);
+    },
+
+    /**
+     * Sign in from the modal
+     * @param {string} identifier - Username or email
+     * @param {string} password - Password
+     * @returns {Promise<boolean>} True when the same user signed in again
+     */
+    async signIn(identifier, password) {
+        const submitBtn = document.getElementById('sessionSignIn');
+        const errorElement = document.getElementById('sessionError');
+
+        const { valid, errors } = Validators.loginForm({ identifier, password });
+        if (!valid) {
+            errorElement.textContent = errors.identifier || errors.password;
+            return false;
+        }
+
+        errorElement.textContent = '';
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span class="spinner"></span> Signing in...';
+
+        const previous = this.state.session;
+        const result = await Auth.login(identifier, password);
+
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Sign In';
+
+        if (!result.success) {
+            errorElement.textContent = result.error || 'Login failed. Please try again.';
+            return false;
+        }
+
+        // Everything on the page belongs to the previous account
+        if (String(result.data.userId) !== String(previous.userId)) {
+            window.location.reload();
+            return false;
+        }
+
+        // Auth.login starts on the default role; keep the one in use
+        if (previous.role) {
+            Auth.setRole(previous.role);
+        }
+
+        this.remember(result.data.token);
+        console.log('Session renewed');
+        return true;
+    },
+
+    /**
+     * Close the sign-in modal
+     * @param {boolean} renewed - Whether a new token is stored
+     */
+    hideLoginModal(renewed) {
+        const overlay = this.state.overlay;
+        const resolve = this.state.resolve;
+        if (!overlay) {
+            return;
+        }
+
+        this.state.overlay = null;
+        this.state.resolve = null;
+        resolve(renewed);
+        overlay.classList.remove('show');
+        setTimeout(() => {
+            overlay.remove();
+        }, 300);
+    }
+};
+
+// Add session banner and sign-in form styles dynamically (the modal reuses the logout modal styles)
+const sessionRenewalStyle = document.createElement('style');
+sessionRenewalStyle.textContent = `
+    .session-banner {
+        position: fixed;
+        left: 50%;
+        bottom: 24px;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        padding: 12px 20px;
+        background: #1a202c;
+        color: white;
+        border-radius: 12px;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.25);
+        font-size: 14px;
+        z-index: 9998;
+    }
+
+    .session-banner-text {
+        font-variant-numeric: tabular-nums;
+    }
+
+    .session-banner-action {
+        padding: 8px 16px;
+        border: none;
+        border-radius: 8px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        font-weight: 600;
+        font-size: 14px;
+        cursor: pointer;
+    }
+
+    .session-modal label {
+        display: block;
+        margin: 16px 0 6px;
+        font-size: 14px;
+        font-weight: 600;
+        color: #4a5568;
+    }
+
+    .session-modal input {
+        width: 100%;
+        padding: 10px 12px;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        font-size: 14px;
+        box-sizing: border-box;
+    }
+
+    .session-modal input:focus {
+        outline: none;
+        border-color: #667eea;
+        box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.2);
+    }
+
+    .logout-modal-body .session-error {
+        margin-top: 12px;
+        color: #e53e3e;
+        font-size: 14px;
+    }
+
+    .session-error:empty {
+        display: none;
+    }
+
+    /* Mobile responsive */
+    @media (max-width: 480px) {
+        .session-banner {
+            left: 16px;
+            right: 16px;
+            transform: none;
+            flex-direction: column;
+        }
+    }
+`;
+document.head.appendChild(sessionRenewalStyle);
+
+// Expose to window
+window.SessionRenewal = SessionRenewal;
+
+// Freeze the SessionRenewal object
+Object.freeze(SessionRenewal);
@@ -0,0 +1,211 @@
+/**
+ * Runtime Configuration Loader
+ * Picks the campus (API platform and event path prefix) at runtime instead of
+ * hard-coding it. Sources, lowest to highest precedence:
+ *     1. CONFIG.CAMPUSES / CONFIG.DEFAULT_CAMPUS
+ *     2. Optional config.json next to the pages, e.g.
+ *            { "defaultCampus": "mycampus",
+ *              "campuses": { "mycampus": { "name": "Zone01 My Campus",
+ *                                          "apiBaseUrl": "https://platform.example.org",
+ *                                          "eventPathPrefix": "/mycampus/" } } }
+ *     3. The campus picked on the login page (remembered in localStorage)
+ *     4. ?campus=<id> (remembered for the session, until a campus is picked)
+ * ?api=<loopback url> still overrides the API URL of whichever campus is active.
+ */
+
+const ConfigLoader = {
+    state: {
+        campuses: { ...CONFIG.CAMPUSES },
+        defaultCampus: CONFIG.DEFAULT_CAMPUS,
+        loading: null,
+        apiOverride: resolveApiOverride()
+    },
+
+    /**
+     * Load config.json once and merge it into the defaults
+     * A missing or invalid file leaves the defaults in place.
+     * @returns {Promise<object>} Active environment
+     */
+    load() {
+        if (!this.state.loading) {
+            this.state.loading = this.fetchRuntimeConfig().then(runtime => {
+                if (runtime) {
+                    this.merge(runtime);
+                }
+                return this.getEnvironment();
+            });
+        }
+        return this.state.loading;
+    },
+
+    /**
+     * Fetch config.json
+     * @returns {Promise<object|null>}
+     */
+    async fetchRuntimeConfig() {
+        try {
+            const response = await fetch(CONFIG.RUNTIME_CONFIG.SOURCE, { cache: 'no-cache' });
+            if (!response.ok) {
+                return null;
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Ignoring unreadable runtime config:', error.message);
+            return null;
+        }
+    },
+
+    /**
+     * Merge a runtime config over the current campuses
+     * Campuses are merged field by field, so config.json can change a single
+     * setting of a built-in campus.
+     * @param {object} runtime - {defaultCampus, campuses}
+     */
+    merge(runtime) {
+        Object.entries(runtime.campuses || {}).forEach(([id, campus]) => {
+            const merged = { ...this.state.campuses[id], ...campus };
+            const { valid, errors } = Validators.campus(merged);
+
+            if (!valid) {
+                console.warn(`Ignoring campus "${id}": ${Object.values(errors).join(', ')}`);
+                return;
+            }
+
+            this.state.campuses[id] = merged;
+        });
+
+        if (runtime.defaultCampus && this.state.campuses[runtime.defaultCampus]) {
+            this.state.defaultCampus = runtime.defaultCampus;
+        }
+    },
+
+    /**
+     * Campuses offered on this page, by id
+     * `hosts` limits a campus to pages served from those hosts.
+     * @returns {object}
+     */
+    getCampuses() {
+        const hostname = window.location.hostname;
+        const available = {};
+
+        Object.entries(this.state.campuses).forEach(([id, campus]) => {
+            if (!campus.hosts || campus.hosts.includes(hostname)) {
+                available[id] = campus;
+            }
+        });
+
+        return available;
+    },
+
+    /**
+     * Id of the active campus
+     * @returns {string}
+     */
+    getCampusId() {
+        const campuses = this.getCampuses();
+        const { STORAGE_KEY } = CONFIG.RUNTIME_CONFIG;
+
+        const candidates = [
+            readSessionOverride(STORAGE_KEY),
+            readStoredChoice(STORAGE_KEY),
+            this.state.defaultCampus
+        ];
+
+        return candidates.find(id => id && campuses[id]) || Object.keys(campuses)[0];
+    },
+
+    /**
+     * Remember the campus picked on the login page
+     * @param {string} id - Campus id
+     * @returns {boolean} True when the campus exists
+     */
+    setCampus(id) {
+        if (!this.getCampuses()[id]) {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(CONFIG.RUNTIME_CONFIG.STORAGE_KEY, id);
+            // An explicit choice replaces the one from the link
+            sessionStorage.removeItem(CONFIG.RUNTIME_CONFIG.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not save campus choice:', error.message);
+        }
+
+        return true;
+    },
+
+    /**
+     * Resolved settings for the active campus
+     * @returns {object} {campusId, name, apiBaseUrl, signinEndpoint, graphqlEndpoint, eventPathPrefix}
+     */
+    getEnvironment() {
+        const campusId = this.getCampusId();
+        const campus = this.state.campuses[campusId];
+        const apiBaseUrl = (this.state.apiOverride || campus.apiBaseUrl).replace(/\/+$/, '');
+
+        return {
+            campusId,
+            name: campus.name || campusId,
+            apiBaseUrl,
+            signinEndpoint: `${apiBaseUrl}${campus.signinPath || CONFIG.API_PATHS.SIGNIN}`,
+            graphqlEndpoint: `${apiBaseUrl}${campus.graphqlPath || CONFIG.API_PATHS.GRAPHQL}`,
+            eventPathPrefix: campus.eventPathPrefix || '/'
+        };
+    }
+};
+
+// Freeze the ConfigLoader object to prevent modifications
+Object.freeze(ConfigLoader);
+
+storeCampusLink(CONFIG.RUNTIME_CONFIG.URL_PARAM, CONFIG.RUNTIME_CONFIG.STORAGE_KEY);
+
+/**
+ * Helper: remember ?campus=<id> for the session, once, when the page loads
+ * The parameter is then taken out of the URL: the hash router never changes the
+ * query string, so leaving it there would undo a campus picked later on reload.
+ * @param {string} param - URL parameter name
+ * @param {string} storageKey - sessionStorage key
+ */
+function storeCampusLink(param, storageKey) {
+    try {
+        const url = new URL(window.location.href);
+        const value = url.searchParams.get(param);
+
+        if (!value) {
+            return;
+        }
+
+        sessionStorage.setItem(storageKey, value);
+        url.searchParams.delete(param);
+        history.replaceState(history.state, '', url.href);
+    } catch (error) {
+        console.warn('Could not read campus from the link:', error.message);
+    }
+}
+
+/**
+ * Helper: read the campus remembered from a ?campus= link
+ * @param {string} storageKey - sessionStorage key
+ * @returns {string|null}
+ */
+function readSessionOverride(storageKey) {
+    try {
+        return sessionStorage.getItem(storageKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Helper: read the campus saved from the login page
+ * @param {string} storageKey - localStorage key
+ * @returns {string|null}
+ */
+function readStoredChoice(storageKey) {
+    try {
+        return localStorage.getItem(storageKey);
+    } catch (error) {
+        return null;
+    }
+}
@@ -3,11 +3,50 @@
  */
 
 const CONFIG = {
-    // API Endpoints
-    API_BASE_URL: 'https://platform.zone01.gr',
-    SIGNIN_ENDPOINT: 'https://platform.zone01.gr/api/auth/signin',
-    GRAPHQL_ENDPOINT: 'https://platform.zone01.gr/api/graphql-engine/v1/graphql',
-    
+    // Campuses the app can talk to; config.json may add more (see js/config-loader.js)
+    // `hosts` limits a campus to pages served from those hosts.
+    CAMPUSES: {
+        athens: {
+            name: 'Zone01 Athens',
+            apiBaseUrl: 'https://platform.zone01.gr',
+            eventPathPrefix: '/athens/'
+        },
+        mock: {
+            name: 'Local mock server',
+            apiBaseUrl: 'http://localhost:4000',
+            eventPathPrefix: '/athens/',
+            hosts: ['localhost', '127.0.0.1']
+        }
+    },
+    DEFAULT_CAMPUS: 'athens',
+
+    // Platform paths, overridable per campus with signinPath / graphqlPath
+    API_PATHS: {
+        SIGNIN: '/api/auth/signin',
+        GRAPHQL: '/api/graphql-engine/v1/graphql'
+    },
+
+    // Runtime configuration sources
+    RUNTIME_CONFIG: {
+        SOURCE: 'config.json',
+        URL_PARAM: 'campus', // ?campus=<id>
+        STORAGE_KEY: 'campus'
+    },
+
+    // API Endpoints for the active campus
+    get API_BASE_URL() {
+        return ConfigLoader.getEnvironment().apiBaseUrl;
+    },
+    get SIGNIN_ENDPOINT() {
+        return ConfigLoader.getEnvironment().signinEndpoint;
+    },
+    get GRAPHQL_ENDPOINT() {
+        return ConfigLoader.getEnvironment().graphqlEndpoint;
+    },
+    get EVENT_PATH_PREFIX() {
+        return ConfigLoader.getEnvironment().eventPathPrefix;
+    },
+
     // Local Storage Keys
     STORAGE_KEYS: {
         JWT_TOKEN: 'jwt_token',
@@ -15,75 +54,156 @@ const CONFIG = {
         USERNAME: 'username'
     },
   
-    USE_CORS_PROXY:
-        window.location.hostname === 'localhost' ||
-        window.location.hostname === '127.0.0.1' ||
-        window.location.hostname === 'giannispap29.github.io',
-
-    CORS_PROXY: 'https://corsproxy.io/?',
-    CORS_PROXY_ENCODE_URI: true,
-    CORS_PROXY_HEADERS: {},
+    // Routes to the API, probed in order; the first one that passes a health check
+    // is remembered for the session. `hosts` limits a route to pages served from those hosts.
+    //   direct              Call the API as-is (the API must allow CORS)
+    //   path-prefix         Same-origin `prefix` + API path, with the API origin in X-Api-Origin
+    //                       (server/dev-server.js forwards /api/* when it matches its --upstream)
+    //   query-encoded       `url` + encoded API URL (corsproxy.io style)
+    //   header-passthrough  `url` + raw API URL, with the `passthrough` request headers repeated
+    //                       as JSON in `metaHeader` (X-Cors-Headers style proxies)
+    // Any route may add static `headers`. A local mock API (?api=) is always called directly.
+    // Routes marked `thirdParty` hand credentials and tokens to someone else's server and are
+    // skipped unless PROXY_ALLOW_THIRD_PARTY is true.
+    PROXY_STRATEGIES: [
+        { name: 'dev-server', type: 'path-prefix', prefix: '', hosts: ['localhost', '127.0.0.1'] },
+        { name: 'direct', type: 'direct' },
+        { name: 'corsproxy.io', type: 'query-encoded', url: 'https://corsproxy.io/?', hosts: ['giannispap29.github.io'], thirdParty: true }
+    ],
+    PROXY_ALLOW_THIRD_PARTY: false,
+    PROXY_HEALTH_TIMEOUT: 5000, // Milliseconds before a route's health check counts as failed
 
     // Authentication
     AUTH_HEADER_PREFIX: 'Bearer',
+    HASURA_CLAIMS: 'https://hasura.io/jwt/claims', // JWT claims namespace
+    HASURA_ROLE_HEADER: 'X-Hasura-Role', // Sent when the user picks a role other than the default
     
     // Application Settings
     TOKEN_EXPIRY_CHECK_INTERVAL: 60000, // Check token expiry every 60 seconds
+    TOKEN_EXPIRY_WARNING: 300000, // Show the expiry countdown 5 minutes before the token expires
+
+    // Session storage backends (see js/auth/storage-backends.js) for a ticked and an
+    // unticked "remember me": 'cookie', 'encrypted-local', 'session' or 'memory'
+    STORAGE: {
+        REMEMBER: 'cookie',
+        FORGET: 'session'
+    },
+
+    // Return to the requested route after login (saved by Auth.requireAuth or passed as
+    // #/login?next=<route>); only routes with these patterns are followed
+    RETURN_TO: {
+        STORAGE_KEY: 'redirect_after_login',
+        URL_PARAM: 'next',
+        ALLOWED_ROUTES: ['/profile', '/profile/:event'],
+        DEFAULT: '/profile'
+    },
+
+    // Login throttling: failed sign-ins per identifier before a cooldown, and how it grows
+    LOGIN_THROTTLE: {
+        FREE_ATTEMPTS: 3, // Failures allowed without waiting
+        BASE_COOLDOWN: 5000, // First cooldown (also used for a 429 without Retry-After), doubled after each further failure
+        MAX_COOLDOWN: 300000, // 5 minutes
+        RESET_AFTER: 3600000, // Forget failures after an hour without attempts
+        STORAGE_KEY: 'login_attempts'
+    },
+
+    // Idle timeout: log out after this long without pointer, keyboard or focus activity in any tab.
+    // Devices signed in without "remember me" count as shared; 0 disables a threshold
+    IDLE_TIMEOUT: {
+        TRUSTED: 3600000, // 60 minutes
+        SHARED: 600000, // 10 minutes
+        WARNING: 60000, // Ask "still there?" 60 seconds before logging out
+        WRITE_INTERVAL: 5000, // Share activity with other tabs at most every 5 seconds
+        STORAGE_KEY: 'last_activity'
+    },
+
+    // Cross-tab session sync: BroadcastChannel name, and cookie polling where it is unavailable
+    SESSION_SYNC: {
+        CHANNEL: 'zone01_session',
+        POLL_INTERVAL: 2000
+    },
     
     // GraphQL Settings
     GRAPHQL_BATCH_SIZE: 200, // Max items per query
-    
-    // UI Settings
-    ANIMATION_DURATION: 400, // milliseconds
-    TOAST_DURATION: 3000, // milliseconds for notifications
-
-    /**
-     * Apply optional CORS proxy to an endpoint when enabled
-     * @param {string} endpoint - Base endpoint URL
-     * @returns {string} Endpoint with proxy applied if configured
-     */
-    applyProxy(endpoint) {
-        if (this.USE_CORS_PROXY && this.CORS_PROXY) {
-            if (this.CORS_PROXY_ENCODE_URI) {
-                const encodedEndpoint = encodeURIComponent(endpoint);
-                return `${this.CORS_PROXY}${encodedEndpoint}`;
-            }
-            return `${this.CORS_PROXY}${endpoint}`;
-        }
-        return endpoint;
+    GRAPHQL_TIMEOUT: 15000, // Milliseconds before a single request attempt is abandoned
+
+    // Retry policy for GraphQL requests (override per call with options.retry)
+    GRAPHQL_RETRY: {
+        MAX_ATTEMPTS: 3, // Total attempts, including the first one
+        BASE_DELAY: 300, // Backoff base in milliseconds, doubled every attempt
+        MAX_DELAY: 5000, // Backoff ceiling in milliseconds
+        MAX_RETRY_AFTER: 30000, // Give up instead of honoring a longer Retry-After
+        RETRY_MUTATIONS: false // Mutations are not idempotent
     },
 
-    /**
-     * Get the signin endpoint respecting proxy settings
-     * @returns {string} Signin endpoint URL
-     */
-    getSigninEndpoint() {
-        return this.applyProxy(this.SIGNIN_ENDPOINT);
+    // Query Cache Settings
+    QUERY_CACHE: {
+        ENABLED: true,
+        DEFAULT_TTL: 60000, // Entries are fresh for 60 seconds
+        STALE_TTL: 86400000, // Stale entries are served while revalidating for up to 24 hours
+        PERSIST: false, // Mirror entries to IndexedDB so they survive reloads
+        DB_NAME: 'zone01_query_cache',
+        STORE_NAME: 'responses'
     },
 
-    /**
-     * Get the GraphQL endpoint respecting proxy settings
-     * @returns {string} GraphQL endpoint URL
-     */
-    getGraphQLEndpoint() {
-        return this.applyProxy(this.GRAPHQL_ENDPOINT);
+    // Offline fixture mode: demo login and recorded GraphQL responses, no network
+    // Also switched on with ?fixtures=on, off with ?fixtures=off, recording with ?fixtures=record
+    FIXTURES: {
+        ENABLED: false,
+        URL_PARAM: 'fixtures',
+        SOURCE: 'assets/fixtures/demo.json', // Fixture file, keyed by operation name
+        DEMO_LOGIN: 'demo',
+        DEMO_PASSWORD: 'demo',
+        DEMO_USER_ID: 1000,
+        DEMO_TOKEN_TTL: 86400 // Demo session length in seconds
     },
 
-    /**
-     * Get additional headers needed when using a proxy
-     * @returns {object} Proxy specific headers
-     */
-    getProxyHeaders() {
-        if (this.USE_CORS_PROXY && this.CORS_PROXY_HEADERS) {
-            return this.CORS_PROXY_HEADERS;
-        }
-        return {};
-    }
+    // UI Settings
+    ANIMATION_DURATION: 400, // milliseconds
+    TOAST_DURATION: 3000 // milliseconds for notifications
 };
 
 // Freeze the config to prevent modifications
 Object.freeze(CONFIG);
 
+/**
+ * Helper: read the API base URL override from ?api=<url>
+ * The choice is remembered for the session (?api=off resets it). Only loopback
+ * URLs are accepted, so a crafted link cannot send credentials to another host.
+ * @returns {string|null} Base URL without a trailing slash, or null
+ */
+function resolveApiOverride() {
+    const storageKey = 'api_base_url';
+
+    try {
+        const override = new URLSearchParams(window.location.search).get('api');
+
+        if (override === 'off') {
+            sessionStorage.removeItem(storageKey);
+        } else if (override && isLoopbackUrl(override)) {
+            sessionStorage.setItem(storageKey, new URL(override).origin);
+        }
+
+        return sessionStorage.getItem(storageKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Helper: check if a URL points at this machine
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLoopbackUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return /^https?:$/.test(protocol) && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CONFIG;
@@ -1,50 +1,48 @@
 /**
  * Main entry point for index.html
- * Handles routing based on authentication status
+ * Registers the app's routes and starts the router once the session backend
+ * and the runtime config have loaded. New pages are new routes here, with a
+ * view (see js/router.js) and a <template> in index.html.
  */
 (function () {
-    // Minimum loading time for better UX (prevents flash)
-    const MIN_LOADING_TIME = 500;
-    const startTime = Date.now();
+    // The entry route only sends visitors on
+    Router.register('/', {
+        guard: match => (Auth.isAuthenticated() ? ReturnTo.consume(match) : '/login')
+    });
+
+    Router.register('/login', {
+        view: LoginView,
+        guard: match => Auth.redirectIfAuthenticated(match)
+    });
+
+    Router.register('/profile', {
+        view: ProfileView,
+        guard: match => Auth.requireAuth(match)
+    });
+
+    Router.register('/profile/:event', {
+        view: ProfileView,
+        guard: match => Auth.requireAuth(match)
+    });
 
     /**
-     * Redirect user based on authentication status
+     * Show the first route and drop the loading screen
      */
-    function handleRedirect() {
+    function start() {
         try {
-            if (Auth.isAuthenticated()) {
-                const userData = Auth.getCurrentUser();
-                console.log('User authenticated:', userData.username);
-                redirectTo('profile.html');
-            } else {
-                console.log('User not authenticated, redirecting to login');
-                redirectTo('login.html');
-            }
+            Router.start(document.getElementById('app'));
+            document.getElementById('loadingScreen').remove();
         } catch (error) {
-            console.error('Error during authentication check:', error);
-            showError('An error occurred. Please try again.', 'login.html');
+            console.error('Error starting the app:', error);
+            showError('An error occurred. Please try again.');
         }
     }
 
-    /**
-     * Redirect to specified page after minimum loading time
-     * @param {string} url - URL to redirect to
-     */
-    function redirectTo(url) {
-        const elapsed = Date.now() - startTime;
-        const remainingTime = Math.max(0, MIN_LOADING_TIME - elapsed);
-
-        setTimeout(() => {
-            window.location.href = url;
-        }, remainingTime);
-    }
-
     /**
      * Show error message with retry option
      * @param {string} message - Error message to display
-     * @param {string} fallbackUrl - URL to redirect on retry
      */
-    function showError(message, fallbackUrl = 'login.html') {
+    function showError(message) {
         const loadingScreen = document.getElementById('loadingScreen');
 
         loadingScreen.innerHTML = `
@@ -52,16 +50,19 @@
                 <div class="error-box">
                     <div class="error-icon">⚠️</div>
                     <div class="error-title">Oops! Something went wrong</div>
-                    <div class="error-message">${message}</div>
-                    <button class="error-button" onclick="window.location.href='${fallbackUrl}'">
+                    <div class="error-details">${message}</div>
+                    <button class="error-button" type="button">
                         Continue to Login
                     </button>
                 </div>
             </div>
         `;
-    }
 
-    
+        loadingScreen.querySelector('.error-button').addEventListener('click', () => {
+            Router.reload('/login');
+        });
+    }
 
-    handleRedirect();
+    // Views read the session and the campus synchronously
+    Promise.all([Storage.ready(), ConfigLoader.load()]).then(start);
 })();
@@ -1,10 +1,24 @@
 /**
- * Login page logic
+ * Login view (#/login)
+ * Mounted by the router the first time the route is visited
  */
-(function () {
-    // Redirect if user already authenticated
-    Auth.redirectIfAuthenticated();
+const LoginView = {
+    template: 'loginView',
+    title: 'Login - GraphQL Profile',
+    mount: mountLoginView
+};
 
+// Expose to window
+window.LoginView = LoginView;
+
+// Freeze the LoginView object
+Object.freeze(LoginView);
+
+/**
+ * Helper: wire up the login form
+ * Signed-in users never get here; the route guard sends them on.
+ */
+function mountLoginView() {
     // Get form elements
     const loginForm = document.getElementById('loginForm');
     const identifierInput = document.getElementById('identifier');
@@ -13,6 +27,28 @@
     const buttonText = loginButton.querySelector('.button-text');
     const buttonLoader = loginButton.querySelector('.button-loader');
     const errorMessage = document.getElementById('errorMessage');
+    const rememberMe = document.getElementById('rememberMe');
+
+    // Button label, put back when a cooldown ends
+    const buttonLabel = buttonText.textContent;
+    let cooldownTimer = null;
+
+    // Inputs with an inline error below them, by Validators.loginForm field
+    const fields = {
+        identifier: identifierInput,
+        password: passwordInput
+    };
+    const campusGroup = document.getElementById('campusGroup');
+    const campusSelect = document.getElementById('campus');
+
+    // Start from the last choice on this browser
+    rememberMe.checked = StorageBackends.get(Storage.getBackendName()).persistent;
+
+    // Load the runtime config, then find a working route to the campus before the user submits
+    ConfigLoader.load().then(() => {
+        initCampusPicker();
+        checkConnection();
+    });
 
     // Handle form submission
     loginForm.addEventListener('submit', async (e) => {
@@ -26,9 +62,11 @@
         const identifier = identifierInput.value.trim();
         const password = passwordInput.value;
 
-        // Basic validation
-        if (!identifier || !password) {
-            showError('Please enter both username/email and password');
+        // Check the fields before any network call
+        const validation = Validators.loginForm({ identifier, password });
+        showFieldErrors(validation.errors);
+
+        if (!validation.valid) {
             return;
         }
 
@@ -36,14 +74,24 @@
         setLoading(true);
 
         try {
-            // Attempt login
+            // Keep the session where "remember me" asks for
+            await Storage.useBackend(rememberMe.checked ? CONFIG.STORAGE.REMEMBER : CONFIG.STORAGE.FORGET);
+
+            // Attempt login against the campus in the runtime config
+            await ConfigLoader.load();
             const result = await Auth.login(identifier, password);
 
             if (result.success) {
-                window.location.href = 'profile.html';
+                // The view stays mounted; leave it ready for the next sign-in
+                passwordInput.value = '';
+                setLoading(false);
+
+                // Back to the route that asked for a login, if any
+                Router.navigate(ReturnTo.consume(), { replace: true });
             } else {
                 showError(result.error || 'Login failed. Please try again.');
                 setLoading(false);
+                showCooldown();
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -52,6 +100,45 @@
         }
     });
 
+    /**
+     * Offer the campuses from the runtime config (hidden when there is only one)
+     */
+    function initCampusPicker() {
+        const campuses = ConfigLoader.getCampuses();
+        const ids = Object.keys(campuses);
+
+        if (ids.length < 2) {
+            return;
+        }
+
+        ids.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = campuses[id].name || id;
+            campusSelect.appendChild(option);
+        });
+
+        campusSelect.value = ConfigLoader.getCampusId();
+        campusGroup.style.display = '';
+
+        campusSelect.addEventListener('change', () => {
+            ConfigLoader.setCampus(campusSelect.value);
+
+            // Routes that worked for the previous campus prove nothing for this one
+            ProxyRouter.reset();
+            checkConnection();
+        });
+    }
+
+    /**
+     * Probe the proxy routes, unless fixture mode keeps everything offline
+     */
+    function checkConnection() {
+        if (!Fixtures.isEnabled()) {
+            ProxyRouter.select();
+        }
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message to display
@@ -67,6 +154,58 @@
         }, 500);
     }
 
+    /**
+     * Count down on the button while the typed identifier has to wait (see LoginThrottle)
+     * Cooldowns are stored, so one started before a reload is shown again.
+     */
+    function showCooldown() {
+        clearInterval(cooldownTimer);
+
+        const identifier = identifierInput.value.trim();
+        const tick = () => {
+            const wait = identifier ? LoginThrottle.getWait(identifier) : 0;
+
+            if (wait <= 0) {
+                clearInterval(cooldownTimer);
+                buttonText.textContent = buttonLabel;
+                loginButton.disabled = false;
+                return false;
+            }
+
+            buttonText.textContent = `Try again in ${DateUtils.formatCountdown(Math.ceil(wait / 1000))}`;
+            loginButton.disabled = true;
+            return true;
+        };
+
+        if (tick()) {
+            cooldownTimer = setInterval(tick, 1000);
+        }
+    }
+
+    /**
+     * Show an inline error under each invalid field and focus the first one
+     * @param {object} errors - Field name -> message, from Validators.loginForm
+     */
+    function showFieldErrors(errors) {
+        Object.keys(fields).forEach(name => setFieldError(name, errors[name]));
+
+        const firstInvalid = Object.keys(fields).find(name => errors[name]);
+        if (firstInvalid) {
+            fields[firstInvalid].focus();
+        }
+    }
+
+    /**
+     * Show or clear one field's inline error
+     * The input points to its error with aria-describedby, so screen readers read it on focus.
+     * @param {string} name - Field name
+     * @param {string|undefined} message - Error, or nothing to clear it
+     */
+    function setFieldError(name, message) {
+        fields[name].setAttribute('aria-invalid', String(Boolean(message)));
+        document.getElementById(`${name}Error`).textContent = message || '';
+    }
+
     /**
      * Set loading state for form
      * @param {boolean} loading - True to show loading state
@@ -78,30 +217,38 @@
             buttonLoader.style.display = 'inline-block';
             identifierInput.disabled = true;
             passwordInput.disabled = true;
+            campusSelect.disabled = true;
+            rememberMe.disabled = true;
         } else {
             loginButton.disabled = false;
             buttonText.style.display = 'inline-block';
             buttonLoader.style.display = 'none';
             identifierInput.disabled = false;
             passwordInput.disabled = false;
+            campusSelect.disabled = false;
+            rememberMe.disabled = false;
         }
     }
 
-    // Clear error message when user starts typing
-    identifierInput.addEventListener('input', () => {
-        if (errorMessage.style.display === 'block') {
-            errorMessage.style.display = 'none';
-        }
-    });
+    // Clear error messages when user starts typing
+    Object.entries(fields).forEach(([name, input]) => {
+        input.addEventListener('input', () => {
+            setFieldError(name, null);
 
-    passwordInput.addEventListener('input', () => {
-        if (errorMessage.style.display === 'block') {
-            errorMessage.style.display = 'none';
-        }
-    });
+            // Cooldowns belong to one identifier
+            if (input === identifierInput) {
+                showCooldown();
+            }
 
-    // Focus on identifier input on page load
-    window.addEventListener('load', () => {
-        identifierInput.focus();
+            if (errorMessage.style.display === 'block') {
+                errorMessage.style.display = 'none';
+            }
+        });
     });
-})();
+
+    // Focus on identifier input once the view is shown
+    identifierInput.focus();
+
+    // The browser may have autofilled an identifier that still has to wait
+    showCooldown();
+}
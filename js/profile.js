@@ -1,15 +1,40 @@
 /**
- * Main Profile Page Logic
+ * Profile view (#/profile, #/profile/:event)
+ * Mounted by the router the first time a profile route is visited; later
+ * visits only switch the selected event, keeping the loaded data and charts.
  */
-(async function () {
-    Auth.requireAuth();
+const ProfileView = {
+    template: 'profileView',
+    title: 'My Profile - Zone01',
+    mount: mountProfileView
+};
 
-    let currentEvent = 'all';
+// Expose to window
+window.ProfileView = ProfileView;
+
+// Freeze the ProfileView object
+Object.freeze(ProfileView);
+
+/**
+ * Helper: load the profile and wire up its components
+ * @param {HTMLElement} root - Element holding the view's markup
+ * @param {object} match - Profile route, from Router.match()
+ * @returns {object} {update(match)} for later visits
+ */
+function mountProfileView(root, match) {
+    // Selected event, from the route until Events.discover() has run
+    let currentEvent = eventFromRoute(match);
+
+    // Aborted whenever another event is selected, cancelling that event's requests
+    let eventController = new AbortController();
+
+    // Profile details rarely change, keep them fresh longer than event stats
+    const USER_PROFILE_TTL = 5 * 60 * 1000;
 
     const loadingState = document.getElementById('loadingState');
     const errorState = document.getElementById('errorState');
     const profileContent = document.getElementById('profileContent');
-    const errorMessage = document.getElementById('errorMessage');
+    const errorMessage = document.getElementById('profileErrorMessage');
     const retryBtn = document.getElementById('retryBtn');
     const logoutBtn = document.getElementById('logoutBtn');
 
@@ -17,34 +42,49 @@
         Logout.init();
     }
 
+    // Events from Events.discover(), to replace the route's event with the described one
+    let discoveredEvents = [];
+
     /**
-     * Handle event selection
+     * Handle event selection: the route holds the selected event
+     * @param {object} event - Event from Events.discover()
      */
-    function handleEventSelection(eventType) {
-        currentEvent = eventType;
+    function handleEventSelection(event) {
+        Router.navigate(routeForEvent(event));
+    }
 
-        document.querySelectorAll('.event-card').forEach(card => {
-            card.classList.remove('active');
-        });
-        document.querySelector(`[data-event="${eventType}"]`).classList.add('active');
+    /**
+     * Follow a profile route visited after the first one
+     * @param {object} match - Profile route, from Router.match()
+     */
+    function handleRoute(match) {
+        const event = eventFromRoute(match, discoveredEvents);
+        if (event.id === currentEvent.id) {
+            return;
+        }
+
+        currentEvent = event;
+        EventSelector.setActive(event.id);
 
         const currentUser = Auth.getCurrentUser();
         if (currentUser) {
-            loadStatistics(currentUser.userId);
-            loadGraphs(currentUser.userId);
+            loadEventData(currentUser.userId);
         }
     }
 
     /**
-     * Initialize event selector
+     * Build the event selector from the user's events
+     * @param {Promise<Array<object>>} eventsLoaded - Events.discover() started with the profile
      */
-    function initEventSelector() {
-        document.querySelectorAll('.event-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const eventType = card.getAttribute('data-event');
-                handleEventSelection(eventType);
-            });
-        });
+    async function initEventSelector(eventsLoaded) {
+        const events = await eventsLoaded;
+        console.log('Events discovered:', events.map(event => event.path || event.id));
+
+        // Names and dates for the event the route named
+        discoveredEvents = events;
+        currentEvent = events.find(event => event.id === currentEvent.id) || currentEvent;
+
+        EventSelector.render(events, currentEvent.id, handleEventSelection);
     }
 
     /**
@@ -61,7 +101,22 @@
 
             console.log('Loading profile for user:', currentUser.userId);
 
-            const userResult = await GraphQL.query(Queries.getUserProfile);
+            const signal = startEventRequests();
+
+            // Events go out on their own: roles without event_user get errors for it,
+            // which must not fail the profile (Events.discover falls back to XP paths)
+            const eventsLoaded = Events.discover(currentUser.userId, null, { ttl: USER_PROFILE_TTL });
+
+            // Profile and event data go out together as a single request
+            const [userResult, ...eventResults] = await GraphQL.queryBatch([
+                { ...Queries.getUserProfile(currentUser.userId), ttl: USER_PROFILE_TTL },
+                ...getEventBatch(currentUser.userId)
+            ], { signal });
+
+            if (userResult.aborted) {
+                return;
+            }
+
             if (!userResult.success) {
                 throw new Error(userResult.error);
             }
@@ -69,12 +124,25 @@
             const userData = userResult.data.user[0];
             console.log('User data loaded:', userData);
 
+            // The token has no login; replace whatever was typed at sign-in (possibly an email)
+            Auth.setUsername(userData.login);
+            AccountSwitcher.update();
+
             if (window.ProfileInfo) {
                 ProfileInfo.render(userData);
+
+                if (userResult.revalidated) {
+                    userResult.revalidated.then(fresh => {
+                        if (fresh.changed) {
+                            ProfileInfo.render(fresh.data.user[0]);
+                        }
+                    });
+                }
             }
 
-            await loadStatistics(currentUser.userId);
-            await loadGraphs(currentUser.userId);
+            initEventSelector(eventsLoaded);
+            renderEventData(eventResults, currentUser.userId, signal);
+            refreshWhenRevalidated(eventResults, () => loadEventData(currentUser.userId), signal);
 
             showProfile();
 
@@ -85,96 +153,178 @@
     }
 
     /**
-     * Load statistics data
+     * Cancel the previous event's requests and start a new set
+     * @returns {AbortSignal} Signal for the new event's requests
+     */
+    function startEventRequests() {
+        eventController.abort();
+        eventController = new AbortController();
+        return eventController.signal;
+    }
+
+    /**
+     * Build the batch of queries needed for the current event
+     * @param {number} userId - Current user ID
+     * @returns {Array<object>} {query, variables} pairs, in the order renderEventData expects
+     */
+    function getEventBatch(userId) {
+        const queries = getEventQueries(currentEvent.pathPattern, userId);
+
+        return [
+            queries.totalXP,
+            queries.auditRatio,
+            queries.passFailStats,
+            queries.xpTransactions
+        ];
+    }
+
+    /**
+     * Load statistics and graphs for the current event in one request
      */
-    async function loadStatistics(userId) {
+    async function loadEventData(userId) {
         try {
-            console.log('Loading statistics for user:', userId);
-            console.log('Current event:', currentEvent);
-
-            const queries = getEventQueries(currentEvent, userId);
-
-            console.log('Fetching total XP...');
-            const xpResult = await GraphQL.query(queries.totalXP);
-            console.log('XP result:', xpResult);
-
-            console.log('Fetching audit ratio...');
-            const auditResult = await GraphQL.query(queries.auditRatio);
-            console.log('Audit result:', auditResult);
-
-            console.log('Fetching pass/fail stats...');
-            const passFailResult = await GraphQL.query(queries.passFailStats);
-            console.log('Pass/fail result:', passFailResult);
-
-            if (window.StatsCard) {
-                const stats = {
-                    totalXP: xpResult.data?.transaction_aggregate?.aggregate?.sum?.amount || 0,
-                    auditsDone: auditResult.data?.auditorAudits?.aggregate?.count || 0,
-                    auditsReceived: auditResult.data?.receivedAudits?.aggregate?.count || 0,
-                    projectsPassed: passFailResult.data?.passed?.aggregate?.count || 0,
-                    projectsFailed: passFailResult.data?.failed?.aggregate?.count || 0
-                };
-
-                console.log('Rendering stats:', stats);
-                StatsCard.renderAll(stats);
+            console.log('Loading event data for user:', userId);
+            console.log('Current event:', currentEvent.id);
+
+            const signal = startEventRequests();
+            const results = await GraphQL.queryBatch(getEventBatch(userId), { signal });
+
+            // A newer event selection took over; its own run renders the page
+            if (results.some(result => result.aborted)) {
+                console.log('Event data request cancelled:', currentEvent.id);
+                return;
             }
 
+            renderEventData(results, userId, signal);
+            refreshWhenRevalidated(results, () => loadEventData(userId), signal);
+
         } catch (error) {
-            console.error('Error loading statistics:', error);
+            console.error('Error loading event data:', error);
         }
     }
-    
+
     /**
-     * Load all graphs
+     * Render statistics and graphs from the event batch results
+     * @param {Array<object>} results - Results for getEventBatch(), in order
+     * @param {number} userId - Current user ID
+     * @param {AbortSignal} signal - Signal for the current event's requests
      */
-    async function loadGraphs(userId) {
-        try {
-            console.log('Loading graphs for user:', userId);
-            console.log('Current event:', currentEvent);
+    function renderEventData([xpResult, auditResult, passFailResult, transactionsResult], userId, signal) {
+        console.log('XP result:', xpResult);
+        console.log('Audit result:', auditResult);
+        console.log('Pass/fail result:', passFailResult);
+        console.log('XP transactions result:', transactionsResult);
+
+        if (window.StatsCard) {
+            const stats = {
+                totalXP: xpResult.data?.transaction_aggregate?.aggregate?.sum?.amount || 0,
+                auditsDone: auditResult.data?.auditorAudits?.aggregate?.count || 0,
+                auditsReceived: auditResult.data?.receivedAudits?.aggregate?.count || 0,
+                projectsPassed: passFailResult.data?.passed?.aggregate?.count || 0,
+                projectsFailed: passFailResult.data?.failed?.aggregate?.count || 0
+            };
+
+            console.log('Rendering stats:', stats);
+            StatsCard.renderAll(stats);
+        }
 
-            const queries = getEventQueries(currentEvent, userId);
+        if (window.AuditRatio && auditResult.success) {
+            AuditRatio.render(auditResult.data);
+        }
 
-            if (window.XPTimeline) {
-                console.log('Loading XP timeline...');
-                const xpData = await GraphQL.query(queries.xpTransactions);
-                console.log('XP timeline data:', xpData);
-                if (xpData.success) {
-                    XPTimeline.render(xpData.data.transaction);
-                }
-            }
+        if (window.ProjectStats && passFailResult.success) {
+            ProjectStats.render(passFailResult.data);
+        }
+
+        if (transactionsResult.success) {
+            // The batch carried the first page; stream the rest into the XP graphs
+            const totalTransactions = xpResult.data?.transaction_aggregate?.aggregate?.count;
+            loadTransactions(userId, transactionsResult.data.transaction, totalTransactions, signal);
+        }
+    }
 
-            if (window.AuditRatio && queries.auditRatio) {
-                console.log('Loading audit ratio chart...');
-                const auditData = await GraphQL.query(queries.auditRatio);
-                console.log('Audit ratio data:', auditData);
-                if (auditData.success) {
-                    AuditRatio.render(auditData.data);
+    /**
+     * Page through XP transactions, re-rendering the XP graphs as each page arrives
+     * @param {number} userId - Current user ID
+     * @param {Array<object>} firstPage - Transactions already fetched with the event batch
+     * @param {number} total - Expected number of transactions, for progress
+     * @param {AbortSignal} signal - Signal for the current event's requests
+     */
+    async function loadTransactions(userId, firstPage, total, signal) {
+        const { query, variables } = getEventQueries(currentEvent.pathPattern, userId).xpTransactions;
+
+        const result = await GraphQL.paginate(query, variables, {
+            field: 'transaction',
+            firstPage,
+            total,
+            signal,
+            onPage: (pageRows, progress) => {
+                // Stop drawing once the user has moved to another event
+                if (signal.aborted) {
+                    return;
                 }
-            }
 
-            if (window.ProjectStats && queries.passFailStats) {
-                console.log('Loading project stats...');
-                const projectData = await GraphQL.query(queries.passFailStats);
-                console.log('Project stats data:', projectData);
-                if (projectData.success) {
-                    ProjectStats.render(projectData.data);
+                if (window.XPTimeline) {
+                    XPTimeline.render(progress.rows);
+                    showGraphProgress('xpTimelineGraph', progress);
                 }
-            }
 
-            if (window.XPByProject) {
-                console.log('Loading XP by project...');
-                const xpByProjectData = await GraphQL.query(queries.xpTransactions);
-                console.log('XP by project data:', xpByProjectData);
-                if (xpByProjectData.success) {
-                    XPByProject.render(xpByProjectData.data.transaction);
+                if (window.XPByProject) {
+                    XPByProject.render(progress.rows);
+                    showGraphProgress('xpByProjectGraph', progress);
                 }
             }
+        });
 
-            console.log('All graphs loaded successfully');
+        if (result.success) {
+            console.log(`All graphs loaded successfully (${result.pages} transaction pages)`);
+        } else if (result.aborted) {
+            console.log('XP transaction paging cancelled');
+        } else {
+            console.error('Error loading XP transactions:', result.error);
+        }
+    }
 
-        } catch (error) {
-            console.error('Error loading graphs:', error);
+    /**
+     * Show how many rows a graph has drawn while more pages are loading
+     * @param {string} containerId - Graph body element ID
+     * @param {object} progress - {loaded, total, done} from GraphQL.paginate
+     */
+    function showGraphProgress(containerId, progress) {
+        const container = document.getElementById(containerId);
+        if (!container || progress.done) {
+            return;
+        }
+
+        const indicator = document.createElement('p');
+        indicator.className = 'graph-progress';
+        indicator.textContent = progress.total
+            ? `Loading transactions... ${progress.loaded} of ${progress.total}`
+            : `Loading transactions... ${progress.loaded}`;
+        container.appendChild(indicator);
+    }
+
+    /**
+     * Re-run a loader once stale cached results have been revalidated
+     * @param {Array<object>} results - Query results, possibly served stale from the cache
+     * @param {Function} reload - Called when any revalidated result has changed data
+     * @param {AbortSignal} signal - Signal for the current event's requests
+     */
+    function refreshWhenRevalidated(results, reload, signal) {
+        const pending = results
+            .filter(result => result && result.revalidated)
+            .map(result => result.revalidated);
+
+        if (pending.length === 0) {
+            return;
         }
+
+        Promise.all(pending).then(freshResults => {
+            // Skip if the user moved to another event in the meantime
+            if (!signal.aborted && freshResults.some(result => result.changed)) {
+                reload();
+            }
+        });
     }
 
     function showLoading() {
@@ -200,8 +350,54 @@
 
     Logout.init();
 
-    loadProfile().then(() => {
-        initEventSelector();
-    });
+    // Sign in again in place when the token runs out, keeping the selected event
+    SessionRenewal.init();
+
+    // Log out unattended sessions, sooner on shared devices
+    IdleTimeout.init();
+
+    // Switch between the accounts signed in on this browser
+    AccountSwitcher.init();
+
+    // Reload everything with the new role's permissions
+    RoleSelector.init(() => loadProfile());
+
+    // The footer shows the route found while signing in
+    ProxyRouter.renderStatus();
+
+    // The runtime config (endpoints, event paths) has loaded before any view mounts
+    loadProfile();
 
-})();
\ No newline at end of file
+    return { update: handleRoute };
+}
+
+/**
+ * Helper: event named by a profile route
+ * @param {object} match - Profile route, from Router.match()
+ * @param {Array<object>} events - Discovered events to pick from, if any
+ * @returns {object} Event, Events.ALL without (or with an invalid) :event
+ */
+function eventFromRoute(match, events = []) {
+    const param = match.params.event;
+    if (!param) {
+        return Events.ALL;
+    }
+
+    const event = Events.fromRouteParam(param);
+    if (!event) {
+        console.warn('Ignoring unknown event in route:', param);
+        return Events.ALL;
+    }
+
+    return events.find(known => known.id === event.id) || event;
+}
+
+/**
+ * Helper: profile route for an event
+ * @param {object} event - Event from Events.discover()
+ * @returns {string} '/profile' or '/profile/<event>'
+ */
+function routeForEvent(event) {
+    const param = Events.toRouteParam(event);
+    return param ? Router.build('/profile/:event', { event: param }) : '/profile';
+}
\ No newline at end of file
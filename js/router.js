@@ -0,0 +1,220 @@
+/**
+ * Router
+ * Hash routes for the single-page app (#/login, #/profile, #/profile/:event).
+ * A route shows a view, mounted from its <template> the first time the route
+ * is visited and then kept, hidden while another view is shown, so the
+ * session, caches and charts survive navigation. A view implements
+ *     template            -> id of the <template> holding its markup
+ *     title               -> document.title while it is shown
+ *     mount(root, match)  -> called once, after the markup is in the page;
+ *                            may return {update(match)}, called on later visits
+ * A route may have a guard: (match) => true to enter, or a path to go to instead.
+ * match is {route, path, params, query}.
+ */
+
+const Router = {
+    // Where unknown paths go
+    DEFAULT_PATH: '/',
+
+    // Guards sending each other around in circles stop after this many redirects
+    MAX_REDIRECTS: 5,
+
+    routes: [],
+
+    state: {
+        container: null,
+        current: null, // Match being shown
+        mounted: new Map(), // View -> {root, handle}
+        listeners: []
+    },
+
+    /**
+     * Add a route
+     * @param {string} pattern - e.g. '/profile/:event'; ':name' matches one path segment
+     * @param {object} options - {view, guard}; routes without a view need a guard that redirects
+     */
+    register(pattern, { view = null, guard = null } = {}) {
+        const names = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        this.routes.push({ pattern, view, guard, names, regex: new RegExp(`^${source}/?$`) });
+    },
+
+    /**
+     * Show the current route and follow hash changes
+     * @param {HTMLElement} container - Element the views are mounted in
+     */
+    start(container) {
+        this.state.container = container;
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    },
+
+    /**
+     * Find the route for a path
+     * @param {string} path - e.g. '/profile/div-01?tab=xp'
+     * @returns {object|null} {route, path, params, query}
+     */
+    match(path) {
+        const [pathname, search = ''] = String(path).split('?');
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(pathname);
+            if (!result) {
+                continue;
+            }
+
+            const params = {};
+            try {
+                route.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(result[index + 1]);
+                });
+            } catch (error) {
+                // Malformed escape in the URL
+                return null;
+            }
+
+            return { route, path, params, query: new URLSearchParams(search) };
+        }
+
+        return null;
+    },
+
+    /**
+     * Build a path from a pattern
+     * @param {string} pattern - e.g. '/profile/:event'
+     * @param {object} params - Values for the pattern's parameters
+     * @returns {string}
+     */
+    build(pattern, params = {}) {
+        return pattern.replace(/:(\w+)/g, (segment, name) => encodeURIComponent(params[name]));
+    },
+
+    /**
+     * Path of the current URL
+     * @returns {string}
+     */
+    getPath() {
+        return window.location.hash.replace(/^#/, '') || this.DEFAULT_PATH;
+    },
+
+    /**
+     * Go to a path
+     * @param {string} path - e.g. '/profile'
+     * @param {object} options - {replace: true} to replace the history entry
+     */
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            // replaceState fires no hashchange
+            history.replaceState(null, '', `#${path}`);
+            this.resolve();
+        } else if (path === this.getPath()) {
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    },
+
+    /**
+     * Load the app again at a path, dropping everything held in memory
+     * Used when the session ends, so no view keeps the previous user's data.
+     * @param {string} path
+     */
+    reload(path) {
+        history.replaceState(null, '', `#${path}`);
+        window.location.reload();
+    },
+
+    /**
+     * Run guards for the current path and show the route they settle on
+     */
+    resolve() {
+        let path = this.getPath();
+
+        for (let redirects = 0; redirects <= this.MAX_REDIRECTS; redirects++) {
+            const match = this.match(path) || this.match(this.DEFAULT_PATH);
+            const target = match.route.guard ? match.route.guard(match) : true;
+
+            if (target === true) {
+                if (match.path !== this.getPath()) {
+                    history.replaceState(null, '', `#${match.path}`);
+                }
+                this.show(match);
+                return;
+            }
+
+            path = target;
+        }
+
+        console.error('Too many route redirects, stopped at', path);
+    },
+
+    /**
+     * Show a route's view, mounting it on the first visit
+     * @param {object} match - From match()
+     */
+    show(match) {
+        const { view } = match.route;
+        let mounted = this.state.mounted.get(view);
+
+        if (!mounted) {
+            const root = document.createElement('div');
+            root.className = 'view';
+            root.appendChild(document.getElementById(view.template).content.cloneNode(true));
+            this.state.container.appendChild(root);
+
+            mounted = { root, handle: null };
+            this.state.mounted.set(view, mounted);
+        }
+
+        this.state.mounted.forEach((other, otherView) => {
+            other.root.hidden = otherView !== view;
+        });
+
+        document.title = view.title;
+        this.state.current = match;
+
+        if (!mounted.handle) {
+            mounted.handle = view.mount(mounted.root, match) || {};
+        } else if (mounted.handle.update) {
+            mounted.handle.update(match);
+        }
+
+        this.state.listeners.forEach(listener => listener(match));
+    },
+
+    /**
+     * The route being shown
+     * @returns {object|null} {route, path, params, query}
+     */
+    getCurrent() {
+        return this.state.current;
+    },
+
+    /**
+     * Listen for route changes
+     * @param {Function} listener - (match) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.state.listeners.push(listener);
+        return () => {
+            const index = this.state.listeners.indexOf(listener);
+            if (index !== -1) {
+                this.state.listeners.splice(index, 1);
+            }
+        };
+    }
+};
+
+// Expose to window
+window.Router = Router;
+
+// Freeze the Router object to prevent modifications
+Object.freeze(Router);
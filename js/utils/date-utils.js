@@ -73,6 +73,16 @@ const DateUtils = {
             console.error('Error formatting date:', error);
             return 'Invalid Date';
         }
+    },
+
+    /**
+     * Format a countdown
+     * @param {number} seconds - Seconds left
+     * @returns {string} e.g. 272 -> '4:32'
+     */
+    formatCountdown(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
     }
 };
 
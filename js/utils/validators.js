@@ -0,0 +1,222 @@
+/**
+ * Validators
+ * Input checks shared by the login form, the runtime config and the event
+ * filter. Single values return {valid, error}; forms and objects return
+ * {valid, errors} with one message per invalid field.
+ */
+
+const Validators = {
+    /**
+     * Length limits
+     */
+    LIMITS: {
+        USERNAME_MAX: 64,
+        EMAIL_MAX: 254, // RFC 5321
+        PASSWORD_MAX: 128
+    },
+
+    PATTERNS: {
+        EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        USERNAME: /^[A-Za-z0-9._-]+$/
+    },
+
+    /**
+     * Tell an email from a username
+     * @param {string} identifier - Username or email
+     * @returns {string} 'email' or 'username'
+     */
+    identifierType(identifier) {
+        return identifier.includes('@') ? 'email' : 'username';
+    },
+
+    /**
+     * Validate a login identifier
+     * @param {string} identifier - Username or email, already trimmed
+     * @returns {object} {valid, error, type}
+     */
+    identifier(identifier) {
+        if (!identifier) {
+            return failResult('Please enter your username or email', { type: null });
+        }
+
+        const type = this.identifierType(identifier);
+
+        if (type === 'email') {
+            if (identifier.length > this.LIMITS.EMAIL_MAX) {
+                return failResult(`Email must be at most ${this.LIMITS.EMAIL_MAX} characters`, { type });
+            }
+            if (!this.PATTERNS.EMAIL.test(identifier)) {
+                return failResult('Please enter a valid email address', { type });
+            }
+        } else {
+            if (identifier.length > this.LIMITS.USERNAME_MAX) {
+                return failResult(`Username must be at most ${this.LIMITS.USERNAME_MAX} characters`, { type });
+            }
+            if (!this.PATTERNS.USERNAME.test(identifier)) {
+                return failResult('Username may only contain letters, digits, dots, dashes and underscores', { type });
+            }
+        }
+
+        return passResult({ type });
+    },
+
+    /**
+     * Validate a password
+     * @param {string} password
+     * @returns {object} {valid, error}
+     */
+    password(password) {
+        if (!password) {
+            return failResult('Please enter your password');
+        }
+
+        if (password.length > this.LIMITS.PASSWORD_MAX) {
+            return failResult(`Password must be at most ${this.LIMITS.PASSWORD_MAX} characters`);
+        }
+
+        return passResult();
+    },
+
+    /**
+     * Validate the login form
+     * @param {object} fields - {identifier, password}
+     * @returns {object} {valid, errors: {identifier?, password?}}
+     */
+    loginForm({ identifier, password }) {
+        return collectErrors({
+            identifier: this.identifier(identifier),
+            password: this.password(password)
+        });
+    },
+
+    /**
+     * Validate an API base URL: https, or http on this machine
+     * @param {string} url
+     * @returns {object} {valid, error}
+     */
+    apiUrl(url) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol === 'https:' || isLoopbackUrl(url)) {
+                return passResult();
+            }
+        } catch (error) {
+            return failResult('apiBaseUrl must be a URL');
+        }
+
+        return failResult('apiBaseUrl must be an https URL');
+    },
+
+    /**
+     * Validate a campus from CONFIG.CAMPUSES or config.json
+     * @param {object} campus - {apiBaseUrl, eventPathPrefix, ...}
+     * @returns {object} {valid, errors: {apiBaseUrl?, eventPathPrefix?}}
+     */
+    campus(campus) {
+        const prefix = campus.eventPathPrefix;
+
+        return collectErrors({
+            apiBaseUrl: this.apiUrl(campus.apiBaseUrl),
+            eventPathPrefix: prefix === undefined || /^\/([\w.-]+\/)*$/.test(prefix)
+                ? passResult()
+                : failResult('eventPathPrefix must look like /campus/')
+        });
+    },
+
+    /**
+     * Validate an event path pattern for the `_like` filters
+     * Only the trailing % may match anything, and the pattern stays on this campus.
+     * `_` matches any single character in LIKE, so paths must escape it as `\_`.
+     * @param {string} pattern - e.g. '/athens/div-01/piscine-js/%'
+     * @param {string} prefix - Campus path prefix
+     * @returns {object} {valid, error}
+     */
+    eventPathPattern(pattern, prefix = CONFIG.EVENT_PATH_PREFIX) {
+        if (typeof pattern !== 'string' || !pattern.endsWith('/%')) {
+            return failResult('Event path pattern must end with /%');
+        }
+
+        const escaped = pattern.slice(0, -1);
+
+        if (/(^|[^\\])_/.test(escaped)) {
+            return failResult('Event path must escape _ as \\_');
+        }
+
+        // The path itself, to check like any other path
+        const path = escaped.replace(/\\_/g, '_');
+
+        if (!path.startsWith(prefix)) {
+            return failResult(`Event path must start with ${prefix}`);
+        }
+
+        if (!/^(\/[\w.-]+)+\/$/.test(path) || path.split('/').some(segment => segment === '..')) {
+            return failResult('Event path contains invalid characters');
+        }
+
+        return passResult();
+    },
+
+    /**
+     * Validate a date range
+     * @param {string|Date|null} start
+     * @param {string|Date|null} end - Optional
+     * @returns {object} {valid, error, start: Date|null, end: Date|null}
+     */
+    dateRange(start, end = null) {
+        const startDate = start ? new Date(start) : null;
+        const endDate = end ? new Date(end) : null;
+
+        if (!startDate || isNaN(startDate)) {
+            return failResult('Start date is missing or invalid', { start: null, end: null });
+        }
+
+        if (endDate && isNaN(endDate)) {
+            return failResult('End date is invalid', { start: startDate, end: null });
+        }
+
+        if (endDate && endDate < startDate) {
+            return failResult('End date is before start date', { start: startDate, end: null });
+        }
+
+        return passResult({ start: startDate, end: endDate });
+    }
+};
+
+// Freeze the Validators object to prevent modifications
+Object.freeze(Validators);
+
+/**
+ * Helper: passing result
+ * @param {object} extra - Additional fields
+ * @returns {object}
+ */
+function passResult(extra = {}) {
+    return { valid: true, error: null, ...extra };
+}
+
+/**
+ * Helper: failing result
+ * @param {string} error - Message for the user
+ * @param {object} extra - Additional fields
+ * @returns {object}
+ */
+function failResult(error, extra = {}) {
+    return { valid: false, error, ...extra };
+}
+
+/**
+ * Helper: merge per-field results into {valid, errors}
+ * @param {object} results - Field name -> {valid, error}
+ * @returns {object}
+ */
+function collectErrors(results) {
+    const errors = {};
+
+    Object.entries(results).forEach(([field, result]) => {
+        if (!result.valid) {
+            errors[field] = result.error;
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
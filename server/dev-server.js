@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Development Server
+ * Serves the static app and reverse-proxies /api/* to the Zone01 platform,
+ * so the browser talks to a single origin and no third-party CORS proxy
+ * ever sees credentials or tokens.
+ *
+ * Usage:
+ *     node server/dev-server.js [--port 8000] [--host 127.0.0.1]
+ *                               [--upstream https://platform.zone01.gr] [--root .]
+ *
+ * Point --upstream at the mock server (http://localhost:4000) to develop offline.
+ * Requests name the API they meant in X-Api-Origin and are refused when it is
+ * not the upstream, so credentials for another campus never reach this one.
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+    port: Number(process.env.PORT) || 8000,
+    host: process.env.HOST || '127.0.0.1',
+    upstream: process.env.ZONE01_UPSTREAM || 'https://platform.zone01.gr',
+    root: path.join(__dirname, '..'),
+    timeout: 30000
+};
+
+const PROXY_PREFIX = '/api/';
+
+/**
+ * Request headers passed to the upstream; everything else (cookies, origin,
+ * forwarding headers, ...) stays on this side
+ */
+const FORWARDED_REQUEST_HEADERS = ['authorization', 'content-type', 'accept', 'x-hasura-role'];
+
+/**
+ * Request header naming the API origin the app meant to reach
+ */
+const API_ORIGIN_HEADER = 'x-api-origin';
+
+/**
+ * Response headers passed back to the browser
+ */
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-length', 'cache-control', 'retry-after'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Create the development server
+ * @param {object} options - Overrides for DEFAULTS
+ * @returns {http.Server}
+ */
+function createDevServer(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const upstream = new URL(settings.upstream);
+
+    return http.createServer((req, res) => {
+        const started = Date.now();
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const proxied = pathname.startsWith(PROXY_PREFIX);
+
+        res.on('finish', () => {
+            // Path only: headers, query strings and bodies may carry credentials
+            console.log(`${req.method} ${pathname}${proxied ? ' (proxied)' : ''} ${res.statusCode} ${Date.now() - started}ms`);
+        });
+
+        if (proxied) {
+            proxyRequest(req, res, upstream, settings.timeout);
+        } else {
+            serveStatic(req, res, settings.root, pathname);
+        }
+    });
+}
+
+/**
+ * Forward a request to the upstream with an allow-list of headers
+ */
+function proxyRequest(req, res, upstream, timeout) {
+    if (!['GET', 'POST'].includes(req.method)) {
+        sendText(res, 405, 'Method not allowed');
+        return;
+    }
+
+    // The app falls back to its other routes when this one cannot reach its API
+    if (req.headers[API_ORIGIN_HEADER] !== upstream.origin) {
+        sendText(res, 502, `Bad gateway: this server only proxies ${upstream.origin}`);
+        return;
+    }
+
+    // Only the path and query are taken from the request, never a host
+    const incoming = new URL(req.url, 'http://localhost');
+    const target = new URL(`${incoming.pathname}${incoming.search}`, upstream.origin);
+    const headers = {};
+    FORWARDED_REQUEST_HEADERS.forEach(name => {
+        if (req.headers[name] !== undefined) {
+            headers[name] = req.headers[name];
+        }
+    });
+    if (req.headers['content-length'] !== undefined) {
+        headers['content-length'] = req.headers['content-length'];
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const upstreamRequest = transport.request(target, { method: req.method, headers, timeout }, upstreamResponse => {
+        const responseHeaders = {};
+        FORWARDED_RESPONSE_HEADERS.forEach(name => {
+            if (upstreamResponse.headers[name] !== undefined) {
+                responseHeaders[name] = upstreamResponse.headers[name];
+            }
+        });
+
+        res.writeHead(upstreamResponse.statusCode, responseHeaders);
+        upstreamResponse.pipe(res);
+    });
+
+    upstreamRequest.on('timeout', () => {
+        upstreamRequest.destroy(new Error('Upstream timed out'));
+    });
+
+    upstreamRequest.on('error', error => {
+        console.error(`Proxy error for ${target.pathname}: ${error.message}`);
+        if (!res.headersSent) {
+            sendText(res, error.message === 'Upstream timed out' ? 504 : 502, 'Bad gateway');
+        } else {
+            res.destroy();
+        }
+    });
+
+    req.pipe(upstreamRequest);
+}
+
+/**
+ * Serve a file from the project root; dot-files (.git, .env, ...) are never served
+ */
+function serveStatic(req, res, root, pathname) {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+        sendText(res, 405, 'Method not allowed');
+        return;
+    }
+
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(pathname);
+    } catch (error) {
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+
+    const segments = relativePath.split('/').filter(Boolean);
+    if (segments.some(segment => segment.startsWith('.') || segment.includes('\\') || segment.includes('\0'))) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    let filePath = path.join(root, ...segments);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    fs.stat(filePath, (statError, stats) => {
+        if (!statError && stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (readError, content) => {
+            if (readError) {
+                sendText(res, 404, 'Not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                'Cache-Control': 'no-cache',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.end(req.method === 'HEAD' ? undefined : content);
+        });
+    });
+}
+
+function sendText(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const flags = { '--port': 'port', '--host': 'host', '--upstream': 'upstream', '--root': 'root' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = flags[argv[i]];
+        if (!key || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        options[key] = key === 'port' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+
+    if (options.root) {
+        options.root = path.resolve(options.root);
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = { ...DEFAULTS, ...parseArgs(process.argv.slice(2)) };
+
+    createDevServer(options).listen(options.port, options.host, () => {
+        console.log(`Serving ${options.root} on http://${options.host}:${options.port}`);
+        console.log(`Proxying ${PROXY_PREFIX}* to ${options.upstream}`);
+    });
+}
+
+module.exports = { createDevServer };
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * Mock Zone01 Server
+ * Local stand-in for https://platform.zone01.gr: Basic-auth signin issuing
+ * signed JWTs and a Hasura-style GraphQL endpoint over a JSON dataset.
+ *
+ * Usage:
+ *     node server/mock-zone01.js [--port 4000] [--data server/mock/dataset.json]
+ *                                [--token-ttl 86400] [--latency 0]
+ *
+ * Then open the app with ?api=http://localhost:4000 and sign in as
+ * student / password (see the dataset for other users).
+ *
+ * Edge cases are injected over HTTP:
+ *     POST /__mock/fail    {"status": 500, "times": 2, "route": "graphql", "retryAfter": 3}
+ *                          status "network" drops the connection instead of answering
+ *     POST /__mock/expire  Every token issued so far is rejected as expired
+ *     POST /__mock/reset   Clear injected failures and reload the dataset
+ *     GET  /__mock/state   Pending failures and settings
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('./mock/jwt');
+const { execute } = require('./mock/executor');
+
+const ROUTES = {
+    SIGNIN: '/api/auth/signin',
+    GRAPHQL: '/api/graphql-engine/v1/graphql'
+};
+
+const DEFAULTS = {
+    port: Number(process.env.MOCK_PORT) || 4000,
+    data: path.join(__dirname, 'mock', 'dataset.json'),
+    tokenTtl: 86400,
+    latency: 0,
+    secret: process.env.MOCK_JWT_SECRET || 'mock-zone01-secret'
+};
+
+/**
+ * Create the mock server
+ * @param {object} options - Overrides for DEFAULTS
+ * @returns {http.Server}
+ */
+function createMockServer(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const state = {
+        db: loadDataset(settings.data),
+        failures: [],
+        issuedTokens: new Set(),
+        revokedTokens: new Set()
+    };
+
+    return http.createServer(async (req, res) => {
+        const started = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+
+        setCorsHeaders(req, res);
+        res.on('finish', () => {
+            // Never log request headers or bodies: they carry credentials
+            console.log(`${req.method} ${url.pathname} ${res.statusCode} ${Date.now() - started}ms`);
+        });
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            if (url.pathname.startsWith('/__mock/')) {
+                await handleControl(req, res, url.pathname, state, settings);
+                return;
+            }
+
+            const route = url.pathname === ROUTES.SIGNIN ? 'signin' : url.pathname === ROUTES.GRAPHQL ? 'graphql' : null;
+            if (!route) {
+                sendJson(res, 404, { error: 'Not found' });
+                return;
+            }
+
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+
+            if (settings.latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, settings.latency));
+            }
+
+            const failure = takeFailure(state, route);
+            if (failure) {
+                await injectFailure(req, res, failure);
+                return;
+            }
+
+            if (route === 'signin') {
+                handleSignin(req, res, state, settings);
+            } else {
+                handleGraphQL(req, res, await readJson(req), state, settings);
+            }
+        } catch (error) {
+            console.error('Mock server error:', error.message);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal mock server error' });
+            }
+        }
+    });
+}
+
+/**
+ * POST /api/auth/signin with Basic credentials
+ * Like the platform, answers with the token as a JSON string.
+ */
+function handleSignin(req, res, state, settings) {
+    const credentials = parseBasicAuth(req.headers.authorization);
+
+    if (!credentials) {
+        sendJson(res, 401, { error: 'Missing or malformed Basic authorization header' });
+        return;
+    }
+
+    const identifier = credentials.identifier.toLowerCase();
+    const user = state.db.users.find(candidate =>
+        candidate.login.toLowerCase() === identifier ||
+        (candidate.email && candidate.email.toLowerCase() === identifier)
+    );
+
+    if (!user || user.password !== credentials.password) {
+        sendJson(res, 401, { error: 'User does not exist or password incorrect' });
+        return;
+    }
+
+    const token = jwt.sign(user, settings.secret, settings.tokenTtl);
+    state.issuedTokens.add(token);
+    sendJson(res, 200, token);
+}
+
+/**
+ * POST /api/graphql-engine/v1/graphql with a Bearer token
+ * Auth failures are 200 responses with Hasura error codes, as on the platform.
+ */
+function handleGraphQL(req, res, body, state, settings) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+        sendHasuraError(res, 'invalid-headers', 'Missing Authorization header in JWT authentication mode');
+        return;
+    }
+
+    const verified = state.revokedTokens.has(match[1])
+        ? { error: 'JWTExpired' }
+        : jwt.verify(match[1], settings.secret);
+
+    if (verified.error) {
+        sendHasuraError(res, 'invalid-jwt', `Could not verify JWT: ${verified.error}`);
+        return;
+    }
+
+    const claims = verified.payload[jwt.HASURA_CLAIMS];
+    const role = req.headers['x-hasura-role'] || claims['x-hasura-default-role'];
+
+    if (!claims['x-hasura-allowed-roles'].includes(role)) {
+        sendHasuraError(res, 'access-denied', 'Your requested role is not in allowed roles');
+        return;
+    }
+
+    const session = { userId: Number(claims['x-hasura-user-id']), role };
+    sendJson(res, 200, execute(state.db, body, session));
+}
+
+/**
+ * /__mock/* endpoints for reproducing edge cases
+ */
+async function handleControl(req, res, pathname, state, settings) {
+    switch (`${req.method} ${pathname}`) {
+        case 'POST /__mock/fail': {
+            const { failure, error } = parseFailure(await readJson(req));
+            if (error) {
+                sendJson(res, 400, { error });
+                return;
+            }
+            state.failures.push(failure);
+            sendJson(res, 200, { queued: failure });
+            return;
+        }
+        case 'POST /__mock/expire':
+            state.issuedTokens.forEach(token => state.revokedTokens.add(token));
+            sendJson(res, 200, { expired: state.revokedTokens.size });
+            return;
+        case 'POST /__mock/reset':
+            state.db = loadDataset(settings.data);
+            state.failures = [];
+            state.revokedTokens.clear();
+            sendJson(res, 200, { reset: true });
+            return;
+        case 'GET /__mock/state':
+            sendJson(res, 200, {
+                failures: state.failures,
+                issuedTokens: state.issuedTokens.size,
+                revokedTokens: state.revokedTokens.size,
+                tokenTtl: settings.tokenTtl,
+                latency: settings.latency
+            });
+            return;
+        default:
+            sendJson(res, 404, { error: 'Unknown mock control endpoint' });
+    }
+}
+
+/**
+ * Check a /__mock/fail body and fill in its defaults
+ * @returns {object} {failure} or {error} describing what is wrong with the body
+ */
+function parseFailure(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Body must be a JSON object, e.g. {"status": 500, "times": 2}' };
+    }
+
+    const failure = {
+        route: body.route === undefined ? 'graphql' : body.route,
+        status: body.status === undefined ? 500 : body.status,
+        times: body.times === undefined ? 1 : body.times,
+        retryAfter: body.retryAfter,
+        delay: body.delay === undefined ? 0 : body.delay
+    };
+
+    if (!['graphql', 'signin', '*'].includes(failure.route)) {
+        return { error: 'route must be "graphql", "signin" or "*"' };
+    }
+    if (failure.status !== 'network' && !(Number.isInteger(failure.status) && failure.status >= 100 && failure.status <= 599)) {
+        return { error: 'status must be an HTTP status code (100-599) or "network"' };
+    }
+    if (!Number.isInteger(failure.times) || failure.times < 1) {
+        return { error: 'times must be a positive integer' };
+    }
+    if (failure.retryAfter !== undefined && !(Number.isFinite(failure.retryAfter) && failure.retryAfter >= 0)) {
+        return { error: 'retryAfter must be a number of seconds' };
+    }
+    if (!Number.isFinite(failure.delay) || failure.delay < 0) {
+        return { error: 'delay must be a number of milliseconds' };
+    }
+
+    return { failure };
+}
+
+/**
+ * Take the next queued failure for a route, if any
+ */
+function takeFailure(state, route) {
+    const failure = state.failures.find(candidate => candidate.route === route || candidate.route === '*');
+    if (!failure) {
+        return null;
+    }
+
+    failure.times--;
+    if (failure.times <= 0) {
+        state.failures.splice(state.failures.indexOf(failure), 1);
+    }
+    return failure;
+}
+
+/**
+ * Answer with an injected failure
+ */
+async function injectFailure(req, res, failure) {
+    if (failure.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, failure.delay));
+    }
+
+    if (failure.status === 'network') {
+        req.socket.destroy();
+        return;
+    }
+
+    if (failure.retryAfter !== undefined) {
+        res.setHeader('Retry-After', String(failure.retryAfter));
+    }
+    sendJson(res, failure.status, { error: `Injected failure (${failure.status})` });
+}
+
+function setCorsHeaders(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Hasura-Role');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    res.setHeader('Access-Control-Max-Age', '600');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendHasuraError(res, code, message) {
+    sendJson(res, 200, { errors: [{ extensions: { path: '$', code }, message }] });
+}
+
+function parseBasicAuth(header) {
+    const match = (header || '').match(/^Basic\s+(\S+)$/i);
+    if (!match) {
+        return null;
+    }
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+
+    return { identifier: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                resolve(null);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function loadDataset(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const flags = { '--port': 'port', '--data': 'data', '--token-ttl': 'tokenTtl', '--latency': 'latency', '--secret': 'secret' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = flags[argv[i]];
+        if (!key || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        options[key] = ['port', 'tokenTtl', 'latency'].includes(key) ? Number(argv[i + 1]) : argv[i + 1];
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const port = options.port || DEFAULTS.port;
+
+    createMockServer(options).listen(port, () => {
+        console.log(`Mock Zone01 server listening on http://localhost:${port}`);
+        console.log(`Open the app with ?api=http://localhost:${port} and sign in as student / password`);
+    });
+}
+
+module.exports = { createMockServer };
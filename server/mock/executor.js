@@ -0,0 +1,583 @@
+/**
+ * Mock Hasura Executor
+ * Runs parsed queries against the in-memory dataset with Hasura semantics:
+ * where / order_by / distinct_on / limit / offset, object and array
+ * relationships, <table>_aggregate fields and per-role row permissions
+ */
+
+const { parse, resolveValue, ParseError } = require('./graphql-parser');
+
+/**
+ * Error returned to the client in Hasura's error format
+ */
+class HasuraError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Hasura extensions.code
+     * @param {string} path - Hasura extensions.path, e.g. "$.selectionSet.user"
+     */
+    constructor(message, code = 'validation-failed', path = '$') {
+        super(message);
+        this.name = 'HasuraError';
+        this.code = code;
+        this.path = path;
+    }
+
+    toJSON() {
+        return { extensions: { path: this.path, code: this.code }, message: this.message };
+    }
+}
+
+/**
+ * Tables exposed by the mock API
+ * `visible(row, session, db)` is the select permission of the 'user' role;
+ * every other role sees every row.
+ */
+const TABLES = {
+    user: {
+        source: 'users',
+        columns: ['id', 'login', 'campus', 'attrs', 'createdAt', 'updatedAt', 'auditRatio', 'totalUp', 'totalDown'],
+        relationships: {
+            transactions: { table: 'transaction', type: 'array', from: 'id', to: 'userId' },
+            results: { table: 'result', type: 'array', from: 'id', to: 'userId' },
+            audits: { table: 'audit', type: 'array', from: 'id', to: 'auditorId' }
+        },
+        visible: (row, session) => row.id === session.userId
+    },
+    transaction: {
+        source: 'transactions',
+        columns: ['id', 'type', 'amount', 'userId', 'objectId', 'path', 'createdAt', 'eventId', 'attrs'],
+        relationships: {
+            object: { table: 'object', type: 'object', from: 'objectId', to: 'id' },
+            user: { table: 'user', type: 'object', from: 'userId', to: 'id' }
+        },
+        visible: (row, session) => row.userId === session.userId
+    },
+    result: {
+        source: 'results',
+        columns: ['id', 'userId', 'objectId', 'groupId', 'grade', 'type', 'path', 'createdAt', 'updatedAt'],
+        relationships: {
+            object: { table: 'object', type: 'object', from: 'objectId', to: 'id' },
+            user: { table: 'user', type: 'object', from: 'userId', to: 'id' },
+            group: { table: 'group', type: 'object', from: 'groupId', to: 'id' }
+        },
+        visible: (row, session) => row.userId === session.userId
+    },
+    audit: {
+        source: 'audits',
+        columns: ['id', 'groupId', 'auditorId', 'grade', 'createdAt', 'updatedAt'],
+        relationships: {
+            group: { table: 'group', type: 'object', from: 'groupId', to: 'id' },
+            auditor: { table: 'user', type: 'object', from: 'auditorId', to: 'id' }
+        },
+        visible: (row, session, db) => row.auditorId === session.userId || isGroupMember(db, row.groupId, session.userId)
+    },
+    group: {
+        source: 'groups',
+        columns: ['id', 'objectId', 'path', 'captainId', 'status', 'campus', 'createdAt', 'updatedAt'],
+        relationships: {
+            object: { table: 'object', type: 'object', from: 'objectId', to: 'id' },
+            captain: { table: 'user', type: 'object', from: 'captainId', to: 'id' },
+            members: { table: 'group_user', type: 'array', from: 'id', to: 'groupId' },
+            audits: { table: 'audit', type: 'array', from: 'id', to: 'groupId' }
+        },
+        visible: (row, session, db) => isGroupMember(db, row.id, session.userId)
+    },
+    group_user: {
+        source: 'groupUsers',
+        columns: ['id', 'groupId', 'userId', 'createdAt'],
+        relationships: {
+            group: { table: 'group', type: 'object', from: 'groupId', to: 'id' },
+            user: { table: 'user', type: 'object', from: 'userId', to: 'id' }
+        },
+        visible: (row, session, db) => isGroupMember(db, row.groupId, session.userId)
+    },
+    event: {
+        source: 'events',
+        columns: ['id', 'path', 'objectId', 'parentId', 'campus', 'createdAt', 'endAt'],
+        relationships: {
+            object: { table: 'object', type: 'object', from: 'objectId', to: 'id' },
+            parent: { table: 'event', type: 'object', from: 'parentId', to: 'id' },
+            users: { table: 'event_user', type: 'array', from: 'id', to: 'eventId' }
+        },
+        visible: () => true
+    },
+    event_user: {
+        source: 'eventUsers',
+        columns: ['id', 'eventId', 'userId', 'level', 'createdAt'],
+        relationships: {
+            event: { table: 'event', type: 'object', from: 'eventId', to: 'id' },
+            user: { table: 'user', type: 'object', from: 'userId', to: 'id' }
+        },
+        visible: (row, session) => row.userId === session.userId
+    },
+    object: {
+        source: 'objects',
+        columns: ['id', 'name', 'type', 'attrs', 'campus', 'createdAt', 'updatedAt'],
+        relationships: {},
+        visible: () => true
+    }
+};
+
+const COMPARISON_OPERATORS = {
+    _eq: (value, operand) => value === operand,
+    _neq: (value, operand) => value !== operand,
+    _gt: (value, operand) => value !== null && compare(value, operand) > 0,
+    _gte: (value, operand) => value !== null && compare(value, operand) >= 0,
+    _lt: (value, operand) => value !== null && compare(value, operand) < 0,
+    _lte: (value, operand) => value !== null && compare(value, operand) <= 0,
+    _in: (value, operand) => operand.includes(value),
+    _nin: (value, operand) => !operand.includes(value),
+    _is_null: (value, operand) => (value === null || value === undefined) === operand,
+    _like: (value, operand) => typeof value === 'string' && likeToRegExp(operand, '').test(value),
+    _nlike: (value, operand) => typeof value === 'string' && !likeToRegExp(operand, '').test(value),
+    _ilike: (value, operand) => typeof value === 'string' && likeToRegExp(operand, 'i').test(value),
+    _nilike: (value, operand) => typeof value === 'string' && !likeToRegExp(operand, 'i').test(value)
+};
+
+const AGGREGATE_FUNCTIONS = ['sum', 'avg', 'max', 'min'];
+
+/**
+ * Execute a GraphQL request
+ * @param {object} db - Dataset
+ * @param {object} body - Request body {query, variables}
+ * @param {object} session - {userId, role}
+ * @returns {object} GraphQL response {data} or {errors}
+ */
+function execute(db, body, session) {
+    try {
+        if (!body || typeof body.query !== 'string') {
+            throw new HasuraError('the key \'query\' was not present', 'parse-failed');
+        }
+
+        let document;
+        try {
+            document = parse(body.query);
+        } catch (error) {
+            if (error instanceof ParseError) {
+                throw new HasuraError(`not a valid graphql query: ${error.message}`, 'validation-failed');
+            }
+            throw error;
+        }
+
+        if (document.operation !== 'query') {
+            throw new HasuraError(`${document.operation} operations are not supported by the mock server`, 'not-supported');
+        }
+
+        const variables = resolveVariables(document.variableDefinitions, body.variables || {});
+        const context = { db, session, variables };
+        const data = {};
+
+        document.selections.forEach(selection => {
+            data[selection.alias] = resolveRoot(context, selection, `$.selectionSet.${selection.alias}`);
+        });
+
+        return { data };
+    } catch (error) {
+        if (error instanceof HasuraError) {
+            return { errors: [error.toJSON()] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Apply defaults and check required variables
+ */
+function resolveVariables(definitions, provided) {
+    const variables = {};
+    const defined = definitions.map(definition => definition.name);
+    const unexpected = Object.keys(provided).filter(name => !defined.includes(name));
+
+    if (unexpected.length > 0) {
+        throw new HasuraError(`unexpected variables in variableValues: ${unexpected.join(', ')}`);
+    }
+
+    definitions.forEach(definition => {
+        let value = provided[definition.name];
+
+        if (value === undefined && definition.defaultValue !== undefined) {
+            value = resolveValue(definition.defaultValue, {});
+        }
+
+        if ((value === undefined || value === null) && definition.type.endsWith('!')) {
+            throw new HasuraError(`expecting a value for non-nullable variable: "${definition.name}"`);
+        }
+
+        if (value !== undefined) {
+            variables[definition.name] = value;
+        }
+    });
+
+    return variables;
+}
+
+/**
+ * Resolve a root field: <table> or <table>_aggregate
+ */
+function resolveRoot(context, selection, path) {
+    if (selection.name === '__typename') {
+        return 'query_root';
+    }
+
+    const aggregate = selection.name.endsWith('_aggregate');
+    const tableName = aggregate ? selection.name.slice(0, -'_aggregate'.length) : selection.name;
+
+    if (!TABLES[tableName]) {
+        throw new HasuraError(`field '${selection.name}' not found in type: 'query_root'`, 'validation-failed', path);
+    }
+
+    const rows = selectRows(context, tableName, getRows(context, tableName), selection.args, path);
+
+    return aggregate
+        ? resolveAggregate(context, tableName, rows, selection, path)
+        : rows.map(row => resolveRow(context, tableName, row, selection, path));
+}
+
+/**
+ * Rows of a table the current role may see
+ */
+function getRows(context, tableName) {
+    const table = TABLES[tableName];
+    const rows = context.db[table.source] || [];
+
+    if (context.session.role !== 'user') {
+        return rows;
+    }
+
+    return rows.filter(row => table.visible(row, context.session, context.db));
+}
+
+/**
+ * Apply where, order_by, distinct_on, offset and limit
+ */
+function selectRows(context, tableName, rows, args, path) {
+    const allowed = ['where', 'order_by', 'distinct_on', 'limit', 'offset'];
+    Object.keys(args).forEach(name => {
+        if (!allowed.includes(name)) {
+            throw new HasuraError(`'${name}' is not a valid argument`, 'validation-failed', `${path}.args.${name}`);
+        }
+    });
+
+    const where = args.where ? resolveValue(args.where, context.variables) : null;
+    const orderBy = args.order_by ? resolveValue(args.order_by, context.variables) : null;
+    const distinctOn = args.distinct_on ? resolveValue(args.distinct_on, context.variables) : null;
+    const limit = args.limit ? resolveValue(args.limit, context.variables) : null;
+    const offset = args.offset ? resolveValue(args.offset, context.variables) : null;
+
+    let result = where ? rows.filter(row => matches(context, tableName, row, where, `${path}.args.where`)) : rows.slice();
+
+    if (orderBy) {
+        const terms = toList(orderBy).flatMap(term => flattenOrderBy(context, tableName, term, [], `${path}.args.order_by`));
+        result.sort((a, b) => {
+            for (const term of terms) {
+                const order = compareOrderTerm(context, tableName, a, b, term);
+                if (order !== 0) {
+                    return order;
+                }
+            }
+            return 0;
+        });
+    }
+
+    if (distinctOn !== null && distinctOn !== undefined) {
+        const columns = toList(distinctOn);
+        columns.forEach(column => assertColumn(tableName, column, `${path}.args.distinct_on`));
+        const seen = new Set();
+        result = result.filter(row => {
+            const key = JSON.stringify(columns.map(column => row[column]));
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    if (offset !== null && offset !== undefined) {
+        result = result.slice(offset);
+    }
+
+    if (limit !== null && limit !== undefined) {
+        result = result.slice(0, limit);
+    }
+
+    return result;
+}
+
+/**
+ * Evaluate a where clause against a row
+ */
+function matches(context, tableName, row, where, path) {
+    const table = TABLES[tableName];
+
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === '_and') {
+            return toList(condition).every(clause => matches(context, tableName, row, clause, `${path}._and`));
+        }
+
+        if (key === '_or') {
+            return toList(condition).some(clause => matches(context, tableName, row, clause, `${path}._or`));
+        }
+
+        if (key === '_not') {
+            return !matches(context, tableName, row, condition, `${path}._not`);
+        }
+
+        const relationship = table.relationships[key];
+        if (relationship) {
+            const related = getRelated(context, row, relationship);
+            const test = relatedRow => matches(context, relationship.table, relatedRow, condition, `${path}.${key}`);
+            return relationship.type === 'object' ? related !== null && test(related) : related.some(test);
+        }
+
+        assertColumn(tableName, key, `${path}.${key}`);
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            const test = COMPARISON_OPERATORS[operator];
+            if (!test) {
+                throw new HasuraError(`field '${operator}' not found in type: '${tableName}_${key}_comparison_exp'`, 'validation-failed', `${path}.${key}.${operator}`);
+            }
+            const value = row[key] === undefined ? null : row[key];
+            return test(value, operand);
+        });
+    });
+}
+
+/**
+ * Turn an order_by object into flat terms {path: [relationship..., column], direction}
+ */
+function flattenOrderBy(context, tableName, term, prefix, path) {
+    const table = TABLES[tableName];
+
+    return Object.entries(term).flatMap(([key, direction]) => {
+        if (direction && typeof direction === 'object') {
+            const relationship = table.relationships[key];
+            if (!relationship || relationship.type !== 'object') {
+                throw new HasuraError(`field '${key}' not found in type: '${tableName}_order_by'`, 'validation-failed', `${path}.${key}`);
+            }
+            return flattenOrderBy(context, relationship.table, direction, [...prefix, key], `${path}.${key}`);
+        }
+
+        assertColumn(tableName, key, `${path}.${key}`);
+
+        if (!/^(asc|desc)(_nulls_(first|last))?$/.test(direction)) {
+            throw new HasuraError(`unexpected value '${direction}' for enum: 'order_by'`, 'validation-failed', `${path}.${key}`);
+        }
+
+        return [{ path: [...prefix, key], direction }];
+    });
+}
+
+/**
+ * Compare two rows on one order_by term (nulls last for asc, first for desc, like Postgres)
+ */
+function compareOrderTerm(context, tableName, a, b, term) {
+    const read = row => {
+        let current = row;
+        let currentTable = tableName;
+        for (const key of term.path.slice(0, -1)) {
+            current = current ? getRelated(context, current, TABLES[currentTable].relationships[key]) : null;
+            currentTable = TABLES[currentTable].relationships[key].table;
+        }
+        const value = current ? current[term.path[term.path.length - 1]] : null;
+        return value === undefined ? null : value;
+    };
+
+    const descending = term.direction.startsWith('desc');
+    const nullsFirst = term.direction.endsWith('nulls_first') || (descending && !term.direction.endsWith('nulls_last'));
+    const left = read(a);
+    const right = read(b);
+
+    if (left === null || right === null) {
+        if (left === right) {
+            return 0;
+        }
+        return (left === null) === nullsFirst ? -1 : 1;
+    }
+
+    const order = compare(left, right);
+    return descending ? -order : order;
+}
+
+/**
+ * Build the response object for a row
+ */
+function resolveRow(context, tableName, row, selection, path) {
+    const table = TABLES[tableName];
+    const result = {};
+
+    (selection.selections || []).forEach(field => {
+        const fieldPath = `${path}.selectionSet.${field.alias}`;
+
+        if (field.name === '__typename') {
+            result[field.alias] = tableName;
+            return;
+        }
+
+        if (table.columns.includes(field.name)) {
+            if (field.selections) {
+                throw new HasuraError(`unexpected subselection set for non-object field '${field.name}'`, 'validation-failed', fieldPath);
+            }
+            result[field.alias] = row[field.name] === undefined ? null : row[field.name];
+            return;
+        }
+
+        const aggregate = field.name.endsWith('_aggregate');
+        const relationshipName = aggregate ? field.name.slice(0, -'_aggregate'.length) : field.name;
+        const relationship = table.relationships[relationshipName];
+
+        if (!relationship || (aggregate && relationship.type !== 'array') || !field.selections) {
+            throw new HasuraError(`field '${field.name}' not found in type: '${tableName}'`, 'validation-failed', fieldPath);
+        }
+
+        if (relationship.type === 'object') {
+            const related = getRelated(context, row, relationship);
+            result[field.alias] = related ? resolveRow(context, relationship.table, related, field, fieldPath) : null;
+            return;
+        }
+
+        const relatedRows = selectRows(context, relationship.table, getRelated(context, row, relationship), field.args, fieldPath);
+        result[field.alias] = aggregate
+            ? resolveAggregate(context, relationship.table, relatedRows, field, fieldPath)
+            : relatedRows.map(related => resolveRow(context, relationship.table, related, field, fieldPath));
+    });
+
+    return result;
+}
+
+/**
+ * Build the response object for <table>_aggregate
+ */
+function resolveAggregate(context, tableName, rows, selection, path) {
+    const result = {};
+
+    (selection.selections || []).forEach(field => {
+        const fieldPath = `${path}.selectionSet.${field.alias}`;
+
+        if (field.name === '__typename') {
+            result[field.alias] = `${tableName}_aggregate`;
+        } else if (field.name === 'nodes') {
+            result[field.alias] = rows.map(row => resolveRow(context, tableName, row, field, fieldPath));
+        } else if (field.name === 'aggregate') {
+            result[field.alias] = resolveAggregateFields(context, tableName, rows, field, fieldPath);
+        } else {
+            throw new HasuraError(`field '${field.name}' not found in type: '${tableName}_aggregate'`, 'validation-failed', fieldPath);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Compute count / sum / avg / max / min
+ */
+function resolveAggregateFields(context, tableName, rows, selection, path) {
+    const result = {};
+
+    (selection.selections || []).forEach(field => {
+        const fieldPath = `${path}.selectionSet.${field.alias}`;
+
+        if (field.name === 'count') {
+            const columns = field.args.columns ? toList(resolveValue(field.args.columns, context.variables)) : null;
+            const distinct = field.args.distinct ? resolveValue(field.args.distinct, context.variables) : false;
+
+            if (!columns) {
+                result[field.alias] = rows.length;
+                return;
+            }
+
+            columns.forEach(column => assertColumn(tableName, column, fieldPath));
+            const values = rows
+                .filter(row => columns.every(column => row[column] !== null && row[column] !== undefined))
+                .map(row => JSON.stringify(columns.map(column => row[column])));
+            result[field.alias] = distinct ? new Set(values).size : values.length;
+            return;
+        }
+
+        if (!AGGREGATE_FUNCTIONS.includes(field.name) || !field.selections) {
+            throw new HasuraError(`field '${field.name}' not found in type: '${tableName}_aggregate_fields'`, 'validation-failed', fieldPath);
+        }
+
+        const values = {};
+        field.selections.forEach(column => {
+            assertColumn(tableName, column.name, `${fieldPath}.selectionSet.${column.name}`);
+            const present = rows.map(row => row[column.name]).filter(value => value !== null && value !== undefined);
+            values[column.alias] = aggregateValues(field.name, present);
+        });
+        result[field.alias] = values;
+    });
+
+    return result;
+}
+
+/**
+ * Aggregate a column's non-null values; empty sets give null like Postgres
+ */
+function aggregateValues(fn, values) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    switch (fn) {
+        case 'sum':
+            return values.reduce((total, value) => total + value, 0);
+        case 'avg':
+            return values.reduce((total, value) => total + value, 0) / values.length;
+        case 'max':
+            return values.reduce((best, value) => (compare(value, best) > 0 ? value : best));
+        case 'min':
+            return values.reduce((best, value) => (compare(value, best) < 0 ? value : best));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Follow a relationship; object relationships give a row or null, array ones a list
+ * Related rows are subject to the same row permissions as root queries.
+ */
+function getRelated(context, row, relationship) {
+    const rows = getRows(context, relationship.table).filter(related => related[relationship.to] === row[relationship.from]);
+    return relationship.type === 'object' ? rows[0] || null : rows;
+}
+
+function isGroupMember(db, groupId, userId) {
+    return (db.groupUsers || []).some(member => member.groupId === groupId && member.userId === userId);
+}
+
+function assertColumn(tableName, column, path) {
+    if (!TABLES[tableName].columns.includes(column)) {
+        throw new HasuraError(`field '${column}' not found in type: '${tableName}'`, 'validation-failed', path);
+    }
+}
+
+function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+    // A backslash makes the next character literal, as in Postgres
+    const tokens = String(pattern).match(/\\.|[\s\S]/g) || [];
+    const source = tokens
+        .map(token => {
+            if (token === '%') {
+                return '.*';
+            }
+            if (token === '_') {
+                return '.';
+            }
+            return token.slice(-1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, `s${flags}`);
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { execute, HasuraError, TABLES };
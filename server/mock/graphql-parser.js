@@ -0,0 +1,316 @@
+/**
+ * GraphQL Parser
+ * Parses the subset of GraphQL the dashboard sends: a single query operation
+ * with variables, aliases, arguments and nested selections
+ */
+
+/**
+ * Parse error, reported to clients as a Hasura 'validation-failed' error
+ */
+class ParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ParseError';
+    }
+}
+
+const PUNCTUATORS = '{}()[]:!$=@';
+
+/**
+ * Split a document into tokens
+ * @param {string} source
+ * @returns {Array<object>} Tokens {type, value}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/[\s,]/.test(char) || char === '\uFEFF') {
+            i++;
+        } else if (char === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (source.startsWith('...', i)) {
+            throw new ParseError('fragments are not supported by the mock server');
+        } else if (PUNCTUATORS.includes(char)) {
+            tokens.push({ type: 'punct', value: char });
+            i++;
+        } else if (char === '"') {
+            if (source.startsWith('"""', i)) {
+                const end = source.indexOf('"""', i + 3);
+                if (end === -1) {
+                    throw new ParseError('unterminated block string');
+                }
+                tokens.push({ type: 'string', value: source.slice(i + 3, end) });
+                i = end + 3;
+                continue;
+            }
+
+            let end = i + 1;
+            while (end < source.length && source[end] !== '"') {
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            if (end >= source.length) {
+                throw new ParseError('unterminated string');
+            }
+            tokens.push({ type: 'string', value: JSON.parse(source.slice(i, end + 1)) });
+            i = end + 1;
+        } else if (/[-0-9]/.test(char)) {
+            const match = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+            if (!match) {
+                throw new ParseError(`unexpected character '${char}'`);
+            }
+            tokens.push({ type: 'number', value: Number(match[0]) });
+            i += match[0].length;
+        } else if (/[_A-Za-z]/.test(char)) {
+            const match = source.slice(i).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+            tokens.push({ type: 'name', value: match[0] });
+            i += match[0].length;
+        } else {
+            throw new ParseError(`unexpected character '${char}'`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && (value === undefined || (token.value === value && token.type !== 'string')) ? token : null;
+    }
+
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new ParseError('unexpected end of document');
+        }
+        return token;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.type === 'string') {
+            throw new ParseError(`expected '${value}' but found '${token.value}'`);
+        }
+        return token;
+    }
+
+    name() {
+        const token = this.next();
+        if (token.type !== 'name') {
+            throw new ParseError(`expected a name but found '${token.value}'`);
+        }
+        return token.value;
+    }
+
+    document() {
+        let operation = 'query';
+        let name = null;
+        let variableDefinitions = [];
+
+        if (!this.peek('{')) {
+            operation = this.name();
+            if (operation === 'fragment') {
+                throw new ParseError('fragments are not supported by the mock server');
+            }
+            if (this.peek() && this.peek().type === 'name') {
+                name = this.name();
+            }
+            if (this.peek('(')) {
+                variableDefinitions = this.variableDefinitions();
+            }
+        }
+
+        if (this.peek('@')) {
+            throw new ParseError('directives are not supported by the mock server');
+        }
+
+        const selections = this.selectionSet();
+
+        if (this.pos < this.tokens.length) {
+            throw new ParseError('only a single operation per document is supported by the mock server');
+        }
+
+        return { operation, name, variableDefinitions, selections };
+    }
+
+    variableDefinitions() {
+        const definitions = [];
+        this.expect('(');
+
+        while (!this.peek(')')) {
+            this.expect('$');
+            const name = this.name();
+            this.expect(':');
+            const type = this.type();
+            let defaultValue;
+            if (this.peek('=')) {
+                this.next();
+                defaultValue = this.value(true);
+            }
+            definitions.push({ name, type, defaultValue });
+        }
+
+        this.expect(')');
+        return definitions;
+    }
+
+    type() {
+        let type;
+        if (this.peek('[')) {
+            this.next();
+            type = `[${this.type()}]`;
+            this.expect(']');
+        } else {
+            type = this.name();
+        }
+        if (this.peek('!')) {
+            this.next();
+            type += '!';
+        }
+        return type;
+    }
+
+    selectionSet() {
+        const selections = [];
+        this.expect('{');
+
+        while (!this.peek('}')) {
+            let name = this.name();
+            let alias = name;
+
+            if (this.peek(':')) {
+                this.next();
+                name = this.name();
+            }
+
+            const args = this.peek('(') ? this.arguments() : {};
+
+            if (this.peek('@')) {
+                throw new ParseError('directives are not supported by the mock server');
+            }
+
+            const children = this.peek('{') ? this.selectionSet() : null;
+            selections.push({ alias, name, args, selections: children });
+        }
+
+        this.expect('}');
+        return selections;
+    }
+
+    arguments() {
+        const args = {};
+        this.expect('(');
+
+        while (!this.peek(')')) {
+            const name = this.name();
+            this.expect(':');
+            args[name] = this.value(false);
+        }
+
+        this.expect(')');
+        return args;
+    }
+
+    value(constant) {
+        const token = this.next();
+
+        if (token.value === '$' && token.type === 'punct') {
+            if (constant) {
+                throw new ParseError('variables are not allowed in default values');
+            }
+            return { kind: 'variable', name: this.name() };
+        }
+
+        if (token.value === '[' && token.type === 'punct') {
+            const items = [];
+            while (!this.peek(']')) {
+                items.push(this.value(constant));
+            }
+            this.next();
+            return { kind: 'list', items };
+        }
+
+        if (token.value === '{' && token.type === 'punct') {
+            const fields = {};
+            while (!this.peek('}')) {
+                const name = this.name();
+                this.expect(':');
+                fields[name] = this.value(constant);
+            }
+            this.next();
+            return { kind: 'object', fields };
+        }
+
+        if (token.type === 'string' || token.type === 'number') {
+            return { kind: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { kind: 'literal', value: token.value === 'true' };
+            }
+            if (token.value === 'null') {
+                return { kind: 'literal', value: null };
+            }
+            return { kind: 'enum', value: token.value };
+        }
+
+        throw new ParseError(`unexpected '${token.value}'`);
+    }
+}
+
+/**
+ * Parse a GraphQL document
+ * @param {string} source
+ * @returns {object} {operation, name, variableDefinitions, selections}
+ */
+function parse(source) {
+    return new Parser(source).document();
+}
+
+/**
+ * Turn a parsed value into plain JavaScript, substituting variables
+ * Enums become strings.
+ * @param {object} node - Parsed value
+ * @param {object} variables - Resolved variable values
+ * @returns {*}
+ */
+function resolveValue(node, variables) {
+    switch (node.kind) {
+        case 'variable':
+            return Object.prototype.hasOwnProperty.call(variables, node.name) ? variables[node.name] : undefined;
+        case 'list':
+            return node.items.map(item => resolveValue(item, variables));
+        case 'object': {
+            const result = {};
+            Object.entries(node.fields).forEach(([name, value]) => {
+                const resolved = resolveValue(value, variables);
+                if (resolved !== undefined) {
+                    result[name] = resolved;
+                }
+            });
+            return result;
+        }
+        case 'enum':
+        case 'literal':
+            return node.value;
+        default:
+            throw new ParseError(`unknown value kind ${node.kind}`);
+    }
+}
+
+module.exports = { parse, resolveValue, ParseError };
@@ -0,0 +1,77 @@
+/**
+ * HS256 JWT signing and verification for the mock server
+ */
+
+const crypto = require('crypto');
+
+const HASURA_CLAIMS = 'https://hasura.io/jwt/claims';
+
+/**
+ * Sign a token for a user, with the claims the platform issues
+ * @param {object} user - Dataset user
+ * @param {string} secret - Signing secret
+ * @param {number} ttl - Lifetime in seconds (negative for an already expired token)
+ * @returns {string} Token
+ */
+function sign(user, secret, ttl) {
+    const now = Math.floor(Date.now() / 1000);
+    const roles = user.roles || ['user'];
+    const payload = {
+        sub: String(user.id),
+        iat: now,
+        exp: now + ttl,
+        ip: '127.0.0.1',
+        [HASURA_CLAIMS]: {
+            'x-hasura-allowed-roles': roles,
+            'x-hasura-campuses': `{${user.campus || ''}}`,
+            'x-hasura-default-role': roles[0],
+            'x-hasura-user-id': String(user.id),
+            'x-hasura-token-id': crypto.randomUUID()
+        }
+    };
+
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    return `${body}.${hmac(body, secret)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token
+ * @param {string} secret
+ * @returns {object} {payload} or {error: 'JWTExpired' | 'JWSError ...'}
+ */
+function verify(token, secret) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        return { error: `JWSError (CompactDecodeError Invalid number of parts: Expected 3 parts; got ${parts.length})` };
+    }
+
+    const expected = hmac(`${parts[0]}.${parts[1]}`, secret);
+    if (expected.length !== parts[2].length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) {
+        return { error: 'JWSError JWSInvalidSignature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'JWSError (CompactDecodeError Invalid payload)' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp <= now) {
+        return { error: 'JWTExpired' };
+    }
+
+    return { payload };
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function hmac(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+module.exports = { sign, verify, HASURA_CLAIMS };